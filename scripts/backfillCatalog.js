@@ -0,0 +1,207 @@
+// One-off migration: fill the Track / Artist / Album catalog from existing data.
+//  1. One Track row per distinct TrackStat.trackId (latest play's metadata and audio features)
+//  2. One Artist row per distinct ArtistStat.artistId
+//  3. With --fetch: look up tracks that have no credited artists yet on the Spotify API
+//     (album + artist ids) using the app's client credentials, then recount artist plays
+//     (syncs only count plays of tracks whose artists were known when they were stored)
+//
+// Usage: npm run catalog:backfill [-- --fetch --dry-run]
+import 'dotenv/config';
+import axios from 'axios';
+import { PrismaClient } from '@prisma/client';
+import { CatalogService } from '../src/services/catalogService.js';
+import { AnalysisService } from '../src/services/analysisService.js';
+import { mapSpotifyTrack } from '../src/services/spotifyService.js';
+
+const BATCH_SIZE = 500;
+// GET /v1/tracks accepts at most 50 ids
+const SPOTIFY_BATCH_SIZE = 50;
+const dryRun = process.argv.includes('--dry-run');
+const fetchFromSpotify = process.argv.includes('--fetch');
+
+const prisma = new PrismaClient();
+const catalogService = new CatalogService();
+
+async function backfillTracks() {
+  let lastTrackId = '';
+  let created = 0;
+  let featuresCopied = 0;
+
+  while (true) {
+    // Latest play per track, keyset-paginated by trackId
+    const rows = await prisma.$queryRaw`
+      SELECT DISTINCT ON ("trackId")
+        "trackId", "name", "imageUrl", "duration", "popularity",
+        "danceability", "energy", "valence", "tempo"
+      FROM "TrackStat"
+      WHERE "trackId" > ${lastTrackId} AND "trackId" <> 'unknown_id'
+      ORDER BY "trackId", "playedAt" DESC
+      LIMIT ${BATCH_SIZE}
+    `;
+
+    if (rows.length === 0) break;
+
+    if (!dryRun) {
+      const result = await prisma.track.createMany({
+        data: rows.map(row => ({
+          id: row.trackId,
+          name: row.name,
+          imageUrl: row.imageUrl,
+          durationMs: row.duration || null,
+          popularity: row.popularity || null,
+        })),
+        skipDuplicates: true,
+      });
+      created += result.count;
+
+      // Audio features were stored on plays before the catalog existed
+      const withFeatures = rows.filter(row => row.energy !== null || row.valence !== null);
+      featuresCopied += await catalogService.updateAudioFeatures(
+        withFeatures.map(row => ({
+          id: row.trackId,
+          danceability: row.danceability,
+          energy: row.energy,
+          valence: row.valence,
+          tempo: row.tempo,
+        }))
+      );
+    } else {
+      created += rows.length;
+    }
+
+    lastTrackId = rows[rows.length - 1].trackId;
+  }
+
+  console.log(`Tracks: ${dryRun ? 'would create up to' : 'created'} ${created}, copied audio features for ${featuresCopied}`);
+}
+
+async function backfillArtists() {
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT ON ("artistId") "artistId", "name", "genres", "imageUrl"
+    FROM "ArtistStat"
+    WHERE "artistId" <> 'unknown_id'
+    ORDER BY "artistId", "updatedAt" DESC
+  `;
+
+  if (dryRun) {
+    console.log(`Artists: would create up to ${rows.length}`);
+    return;
+  }
+
+  const result = await prisma.artist.createMany({
+    data: rows.map(row => ({
+      id: row.artistId,
+      name: row.name,
+      genres: row.genres || [],
+      imageUrl: row.imageUrl,
+    })),
+    skipDuplicates: true,
+  });
+
+  console.log(`Artists: created ${result.count}`);
+}
+
+/**
+ * App-only access token (client credentials flow), enough for catalog lookups
+ */
+async function getClientCredentialsToken() {
+  const { SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET } = process.env;
+  if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
+    throw new Error('SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET are required for --fetch');
+  }
+
+  const response = await axios.post(
+    'https://accounts.spotify.com/api/token',
+    new URLSearchParams({ grant_type: 'client_credentials' }),
+    {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`,
+      },
+    }
+  );
+
+  return response.data.access_token;
+}
+
+async function fetchSpotifyTracks(ids, token) {
+  while (true) {
+    try {
+      const response = await axios.get('https://api.spotify.com/v1/tracks', {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { ids: ids.join(',') },
+        timeout: 10000,
+      });
+      return response.data.tracks.filter(Boolean);
+    } catch (error) {
+      if (error.response?.status !== 429) throw error;
+      const delay = (parseInt(error.response.headers['retry-after']) || 1) * 1000;
+      console.warn(`Rate limited, waiting ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function fetchMissingDetails() {
+  const token = await getClientCredentialsToken();
+  let lastTrackId = '';
+  let updated = 0;
+
+  while (true) {
+    // Tracks fixed in earlier batches drop out of the filter, so page by id rather than a cursor row
+    const tracks = await prisma.track.findMany({
+      where: { id: { gt: lastTrackId }, artists: { none: {} } },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: SPOTIFY_BATCH_SIZE,
+    });
+
+    if (tracks.length === 0) break;
+
+    const spotifyTracks = await fetchSpotifyTracks(tracks.map(track => track.id), token);
+    if (!dryRun) {
+      updated += await catalogService.upsertTracks(spotifyTracks.map(track => mapSpotifyTrack(track)));
+    } else {
+      updated += spotifyTracks.length;
+    }
+
+    lastTrackId = tracks[tracks.length - 1].id;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  console.log(`Spotify lookups: ${dryRun ? 'would update' : 'updated'} ${updated} tracks`);
+  return updated;
+}
+
+async function recountArtistPlays() {
+  const users = await prisma.trackStat.findMany({
+    distinct: ['userId'],
+    select: { userId: true },
+  });
+
+  for (const { userId } of users) {
+    await new AnalysisService({ id: userId }).refreshArtistPlayStats();
+  }
+
+  console.log(`Artist play counts: recounted for ${users.length} users`);
+}
+
+async function main() {
+  console.log(`Backfilling catalog${dryRun ? ' (dry run)' : ''}...`);
+
+  await backfillTracks();
+  await backfillArtists();
+  if (fetchFromSpotify) {
+    const updated = await fetchMissingDetails();
+    if (updated > 0 && !dryRun) {
+      await recountArtistPlays();
+    }
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Catalog backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
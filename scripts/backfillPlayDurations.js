@@ -0,0 +1,72 @@
+// One-off migration: infer msPlayed and skipped for recently-played rows synced before
+// listening durations were tracked. Imported history rows already carry Spotify's ms_played.
+//
+// Usage: npm run plays:backfill-durations [-- --dry-run]
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { inferPlayDurations } from '../src/utils/playDuration.js';
+
+const BATCH_SIZE = 1000;
+const dryRun = process.argv.includes('--dry-run');
+
+const prisma = new PrismaClient();
+
+async function backfillUser(userId) {
+  let cursor;
+  let previousPlayedAt = null;
+  let updated = 0;
+
+  while (true) {
+    const plays = await prisma.trackStat.findMany({
+      where: { userId, source: 'recently_played' },
+      select: { id: true, playedAt: true, duration: true, msPlayed: true },
+      orderBy: [{ playedAt: 'asc' }, { id: 'asc' }],
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (plays.length === 0) break;
+
+    const durations = inferPlayDurations(plays, previousPlayedAt);
+    for (const play of plays) {
+      if (play.msPlayed !== null) continue;
+
+      if (!dryRun) {
+        await prisma.trackStat.update({
+          where: { id: play.id },
+          data: durations.get(play),
+        });
+      }
+      updated++;
+    }
+
+    previousPlayedAt = plays[plays.length - 1].playedAt;
+    cursor = plays[plays.length - 1].id;
+  }
+
+  return updated;
+}
+
+async function main() {
+  console.log(`Backfilling play durations${dryRun ? ' (dry run)' : ''}...`);
+
+  const users = await prisma.user.findMany({ select: { id: true } });
+  let total = 0;
+
+  for (const user of users) {
+    const updated = await backfillUser(user.id);
+    if (updated > 0) {
+      console.log(`User ${user.id}: ${dryRun ? 'would update' : 'updated'} ${updated} plays`);
+    }
+    total += updated;
+  }
+
+  console.log(`Done: ${dryRun ? 'would update' : 'updated'} ${total} plays for ${users.length} users`);
+}
+
+main()
+  .catch(error => {
+    console.error('Play duration backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,119 @@
+// One-off migration: encrypt Spotify tokens at rest with the current TOKEN_ENCRYPTION_KEY_ID.
+// Also used for key rotation - values sealed with an older key id are re-encrypted.
+//
+// Usage: npm run tokens:encrypt [-- --dry-run]
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { PrismaClient } from '@prisma/client';
+import LocalCache from '../src/utils/localCache.js';
+import {
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  getCurrentKeyId,
+} from '../src/utils/tokenCrypto.js';
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+const prisma = new PrismaClient();
+const localCache = new LocalCache();
+
+/**
+ * Re-encrypt a single stored value if it isn't sealed with the current key
+ */
+function reencrypt(value) {
+  return needsReencryption(value) ? encryptToken(decryptToken(value)) : value;
+}
+
+async function migrateUsers() {
+  let cursor;
+  let scanned = 0;
+  let updated = 0;
+
+  while (true) {
+    const users = await prisma.user.findMany({
+      select: { id: true, accessToken: true, refreshToken: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      scanned++;
+      if (!needsReencryption(user.accessToken) && !needsReencryption(user.refreshToken)) {
+        continue;
+      }
+
+      if (!dryRun) {
+        await prisma.user.update({
+          where: { id: user.id },
+          data: {
+            accessToken: reencrypt(user.accessToken),
+            refreshToken: reencrypt(user.refreshToken),
+          },
+        });
+      }
+      updated++;
+    }
+
+    cursor = users[users.length - 1].id;
+  }
+
+  console.log(`Users: scanned ${scanned}, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+}
+
+async function migrateCachedTokens() {
+  let files = [];
+  try {
+    files = (await fs.readdir(localCache.cacheDir)).filter(file => file.endsWith('_tokens.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let updated = 0;
+  for (const file of files) {
+    const userId = file.replace(/_tokens\.json$/, '');
+    const tokens = await localCache.load(userId, 'tokens');
+    if (!tokens || (!needsReencryption(tokens.accessToken) && !needsReencryption(tokens.refreshToken))) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await localCache.save(userId, 'tokens', {
+        ...tokens,
+        accessToken: reencrypt(tokens.accessToken),
+        refreshToken: reencrypt(tokens.refreshToken),
+      });
+    }
+    updated++;
+  }
+
+  console.log(`Cached token files: scanned ${files.length}, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+}
+
+async function main() {
+  const keyId = getCurrentKeyId();
+  if (!keyId) {
+    console.error('TOKEN_ENCRYPTION_KEYS is not set - nothing to encrypt with');
+    process.exit(1);
+  }
+
+  console.log(`Encrypting Spotify tokens with key "${keyId}"${dryRun ? ' (dry run)' : ''}...`);
+
+  if (process.env.DATABASE_URL) {
+    await migrateUsers();
+  } else {
+    console.warn('DATABASE_URL not set - skipping database rows');
+  }
+  await migrateCachedTokens();
+}
+
+main()
+  .catch(error => {
+    console.error('Token encryption migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,82 @@
+// One-off migration: move top tracks that older syncs stored as fake plays (TrackStat rows with
+// playedAt 2000-01-01) into TopTrackSnapshot, then delete them from play history.
+//  - The rows don't record which time range they came from; the sync default (medium_term) is used
+//  - Rank follows insertion order, which was Spotify's order within each sync
+//  - The snapshot is dated on the day the newest row was written
+//
+// Usage: npm run plays:migrate-top-tracks [-- --dry-run]
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { AnalysisService } from '../src/services/analysisService.js';
+import { getSnapshotDate } from '../src/services/chartService.js';
+
+const TOP_TRACKS_PLAYED_AT = new Date('2000-01-01T00:00:00.000Z');
+const TIME_RANGE = 'medium_term';
+const dryRun = process.argv.includes('--dry-run');
+
+const prisma = new PrismaClient();
+
+async function migrateUser(userId) {
+  const rows = await prisma.trackStat.findMany({
+    where: { userId, playedAt: TOP_TRACKS_PLAYED_AT },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const capturedOn = getSnapshotDate(rows[rows.length - 1].createdAt);
+
+  if (!dryRun) {
+    await prisma.$transaction([
+      prisma.topTrackSnapshot.createMany({
+        data: rows.map((row, index) => ({
+          userId,
+          timeRange: TIME_RANGE,
+          rank: index + 1,
+          trackId: row.trackId,
+          name: row.name,
+          artist: row.artist,
+          imageUrl: row.imageUrl,
+          capturedOn,
+        })),
+        skipDuplicates: true,
+      }),
+      prisma.trackStat.deleteMany({
+        where: { id: { in: rows.map(row => row.id) } },
+      }),
+    ]);
+
+    // Artist play counts were derived from these rows too
+    await new AnalysisService({ id: userId }).refreshArtistPlayStats();
+  }
+
+  return rows.length;
+}
+
+async function main() {
+  console.log(`Migrating top-track placeholder plays${dryRun ? ' (dry run)' : ''}...`);
+
+  const users = await prisma.trackStat.findMany({
+    where: { playedAt: TOP_TRACKS_PLAYED_AT },
+    distinct: ['userId'],
+    select: { userId: true },
+  });
+
+  let total = 0;
+  for (const { userId } of users) {
+    const moved = await migrateUser(userId);
+    console.log(`  ${userId}: ${dryRun ? 'would move' : 'moved'} ${moved} rows`);
+    total += moved;
+  }
+
+  console.log(`Done: ${dryRun ? 'would move' : 'moved'} ${total} rows for ${users.length} users`);
+}
+
+main()
+  .catch(error => {
+    console.error('Top track migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
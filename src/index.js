@@ -3,7 +3,10 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import cron from 'node-cron';
 import { PrismaClient } from '@prisma/client';
-import { AnalysisService } from './services/analysisService.js';
+import { jobQueue } from './services/jobQueue.js';
+import { enqueueSync, scheduleRecentlyPlayedPolls } from './services/syncJobs.js';
+import { spotifyRateLimiter } from './utils/rateLimiter.js';
+import { catalogCache } from './services/catalogCache.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -11,6 +14,7 @@ import userRoutes from './routes/user.js';
 import statsRoutes from './routes/stats.js';
 import spotifyRoutes from './routes/spotify.js';
 import cacheRoutes from './routes/cache.js';
+import syncRoutes from './routes/sync.js';
 
 // Load environment variables
 dotenv.config();
@@ -48,12 +52,19 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// History imports upload whole Spotify privacy-export files, parse them before the default 100kb limit applies
+app.use('/api/user/history/import', express.json({ limit: process.env.HISTORY_IMPORT_MAX_BODY || '50mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    spotifyRateLimit: spotifyRateLimiter.getMetrics(),
+    catalogCache: catalogCache.getMetrics(),
+  });
 });
 
 // API Routes
@@ -62,6 +73,7 @@ app.use('/api/user', userRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/spotify', spotifyRoutes);
 app.use('/api/cache', cacheRoutes);
+app.use('/api/sync', syncRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -73,6 +85,7 @@ app.get('/', (req, res) => {
       user: '/api/user',
       stats: '/api/stats',
       spotify: '/api/spotify',
+      sync: '/api/sync',
     },
   });
 });
@@ -97,7 +110,8 @@ app.use((req, res) => {
 
 /**
  * Daily sync job - runs at 2 AM every day
- * Syncs listening data for all users and builds music profiles
+ * Queues a full sync (listening data, top charts, music profile) for every user;
+ * the job queue workers run them with retries.
  */
 async function syncAllUsersData() {
   if (!prisma) {
@@ -111,33 +125,23 @@ async function syncAllUsersData() {
     const users = await prisma.user.findMany({
       where: {
         refreshToken: { not: null },
+        spotifyDisconnectedAt: null,
       },
+      select: { id: true },
     });
 
-    console.log(`Found ${users.length} users to sync`);
-
+    let queued = 0;
     for (const user of users) {
       try {
-        const analysisService = new AnalysisService(user);
-        
-        // Use comprehensive syncUserPlayback which syncs everything and builds profile
-        const result = await analysisService.syncUserPlayback('medium_term');
-        
-        console.log(`Synced user ${user.id}:`, {
-          recent: result.recent.synced,
-          tracks: result.tracks.synced,
-          artists: result.artists.synced,
-        });
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        const { created } = await enqueueSync(user.id, 'sync_playback', { timeRange: 'medium_term' });
+        if (created) queued++;
       } catch (error) {
-        console.error(`Error syncing user ${user.id}:`, error.message);
+        console.error(`Error queueing sync for user ${user.id}:`, error.message);
         // Continue with next user
       }
     }
 
-    console.log('Daily sync job completed');
+    console.log(`Daily sync queued for ${queued} of ${users.length} users`);
   } catch (error) {
     console.error('Error in daily sync job:', error);
   }
@@ -149,15 +153,48 @@ cron.schedule('0 2 * * *', syncAllUsersData, {
   timezone: 'UTC',
 });
 
+// Drop catalog cache entries that expired more than 30 days ago (daily, 3 AM)
+cron.schedule('0 3 * * *', async () => {
+  if (!prisma) return;
+  try {
+    const pruned = await catalogCache.pruneExpired();
+    console.log(`Catalog cache: pruned ${pruned} expired entries`);
+  } catch (error) {
+    console.error('Error pruning catalog cache:', error);
+  }
+}, {
+  scheduled: true,
+  timezone: 'UTC',
+});
+
+// Poll recently-played for users that are due (each user has an adaptive 15-60 minute interval)
+const recentlyPlayedPolling = process.env.RECENTLY_PLAYED_POLLING !== 'false';
+cron.schedule('* * * * *', () => {
+  if (prisma && recentlyPlayedPolling) {
+    scheduleRecentlyPlayedPolls();
+  }
+}, {
+  scheduled: true,
+  timezone: 'UTC',
+});
+
 // Start server with error handling
 const server = app.listen(PORT, () => {
   console.log(`🚀 Musight Backend running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔄 Daily sync scheduled for 2:00 AM UTC`);
+  if (recentlyPlayedPolling) {
+    console.log('🎧 Recently-played polling enabled');
+  }
   
   if (!prisma) {
     console.warn('⚠️  Database not available - using cache fallback mode');
   }
+
+  // Background workers for sync jobs (the Postgres-backed queue needs the database)
+  if (prisma || process.env.JOB_QUEUE_DRIVER === 'memory') {
+    jobQueue.start();
+  }
 });
 
 // Handle server errors
@@ -197,6 +234,7 @@ process.on('uncaughtException', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  await jobQueue.stop();
   if (prisma) {
     await prisma.$disconnect().catch(err => console.error('Error disconnecting Prisma:', err));
   }
@@ -205,6 +243,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  await jobQueue.stop();
   if (prisma) {
     await prisma.$disconnect().catch(err => console.error('Error disconnecting Prisma:', err));
   }
@@ -0,0 +1,30 @@
+/**
+ * Parse the token's scope claim
+ * Tokens without a scope claim are first-party app tokens with full access (null)
+ */
+export function parseScopes(decoded) {
+  if (!decoded.scope) {
+    return null;
+  }
+  return Array.isArray(decoded.scope) ? decoded.scope : String(decoded.scope).split(' ');
+}
+
+/**
+ * Middleware that requires the authenticated token to carry all given scopes
+ * Must run after an authenticate middleware
+ */
+export function requireScopes(...requiredScopes) {
+  return (req, res, next) => {
+    const granted = req.auth?.scopes;
+    const missing = granted ? requiredScopes.filter(scope => !granted.includes(scope)) : [];
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        reason: 'insufficient_scope',
+        required: requiredScopes,
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,20 @@
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from '../utils/timezone.js';
+
+/**
+ * Resolve the time zone used to bucket stats and sets req.timeZone
+ * Order: ?tz= query param, the user's saved timezone, UTC. Must run after authenticate.
+ */
+export function resolveTimeZone(req, res, next) {
+  const { tz } = req.query;
+
+  if (tz !== undefined && tz !== '') {
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({ error: 'Invalid timezone', message: 'tz must be an IANA time zone, e.g. Asia/Shanghai' });
+    }
+    req.timeZone = tz;
+  } else {
+    req.timeZone = isValidTimeZone(req.user?.timezone) ? req.user.timezone : DEFAULT_TIME_ZONE;
+  }
+
+  next();
+}
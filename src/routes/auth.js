@@ -1,7 +1,16 @@
 import express from 'express';
 import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
-import { generateUserToken, refreshSpotifyToken } from '../utils/tokenManager.js';
+import { getValidAccessToken, verifyUserToken } from '../utils/tokenManager.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionFamily,
+  revokeSessionByRefreshToken,
+} from '../utils/sessionManager.js';
+import { createLoginSession, consumeLoginSession } from '../utils/pkce.js';
+import { encryptToken } from '../utils/tokenCrypto.js';
+import { spotifyHttp } from '../utils/spotifyClient.js';
 
 const router = express.Router();
 
@@ -17,10 +26,66 @@ try {
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI;
+// Old app builds build their own authorize URL and exchange codes without state/PKCE.
+// Off by default: without state there is nothing binding the code to a login we started.
+const ALLOW_LEGACY_CODE_EXCHANGE = process.env.ALLOW_LEGACY_CODE_EXCHANGE === 'true';
+// Redirects back into the iOS app (musight://...) are always allowed
+const APP_URL_SCHEME = 'musight:';
+
+/**
+ * Only redirect Spotify logins to the configured redirect URI or into the app,
+ * so a crafted login link cannot send the authorization code elsewhere
+ */
+function isAllowedRedirectUri(uri) {
+  if (uri === SPOTIFY_REDIRECT_URI) {
+    return true;
+  }
+  try {
+    return new URL(uri).protocol === APP_URL_SCHEME;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Exchange an authorization code for Spotify tokens
+ * When a PKCE code verifier is given, the public-client form of the request is used
+ * @param {string} code - Authorization code from Spotify
+ * @param {string} redirectUri - Redirect URI used in the authorize request
+ * @param {string|null} codeVerifier - PKCE code verifier bound to the login session
+ */
+async function exchangeAuthorizationCode(code, redirectUri, codeVerifier = null) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: code,
+    redirect_uri: redirectUri,
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+  };
+
+  if (codeVerifier) {
+    params.append('client_id', SPOTIFY_CLIENT_ID);
+    params.append('code_verifier', codeVerifier);
+  } else {
+    const authString = Buffer.from(
+      `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`
+    ).toString('base64');
+    headers['Authorization'] = `Basic ${authString}`;
+  }
+
+  const tokenResponse = await axios.post('https://accounts.spotify.com/api/token', params, { headers });
+  return tokenResponse.data;
+}
 
 /**
  * GET /api/auth/login
- * Generate Spotify OAuth URL
+ * Start a PKCE login session and generate the Spotify OAuth URL
+ * Query params: redirect_uri (optional, defaults to SPOTIFY_REDIRECT_URI;
+ *   must be SPOTIFY_REDIRECT_URI or a musight:// URI)
+ *
+ * The code verifier stays on the server; the returned `state` must be sent back
+ * (via the callback or POST /api/auth/spotify) to complete the exchange.
  */
 router.get('/login', (req, res) => {
   const scopes = [
@@ -31,14 +96,36 @@ router.get('/login', (req, res) => {
     'user-follow-read',
   ].join(' ');
 
+  const redirectUri = req.query.redirect_uri || SPOTIFY_REDIRECT_URI;
+  if (!redirectUri) {
+    return res.status(400).json({ error: 'Redirect URI required (provide as query param or configure SPOTIFY_REDIRECT_URI)' });
+  }
+  if (!isAllowedRedirectUri(redirectUri)) {
+    return res.status(400).json({
+      error: 'Invalid redirect_uri',
+      message: 'redirect_uri must be the configured SPOTIFY_REDIRECT_URI or a musight:// URI',
+    });
+  }
+
+  const session = createLoginSession(redirectUri);
+
   const authUrl = new URL('https://accounts.spotify.com/authorize');
   authUrl.searchParams.append('client_id', SPOTIFY_CLIENT_ID);
   authUrl.searchParams.append('response_type', 'code');
-  authUrl.searchParams.append('redirect_uri', SPOTIFY_REDIRECT_URI);
+  authUrl.searchParams.append('redirect_uri', redirectUri);
   authUrl.searchParams.append('scope', scopes);
+  authUrl.searchParams.append('state', session.state);
+  authUrl.searchParams.append('code_challenge_method', session.codeChallengeMethod);
+  authUrl.searchParams.append('code_challenge', session.codeChallenge);
   authUrl.searchParams.append('show_dialog', 'false');
 
-  res.json({ authUrl: authUrl.toString() });
+  res.json({
+    authUrl: authUrl.toString(),
+    state: session.state,
+    codeChallenge: session.codeChallenge,
+    codeChallengeMethod: session.codeChallengeMethod,
+    expiresIn: session.expiresIn,
+  });
 });
 
 /**
@@ -46,12 +133,15 @@ router.get('/login', (req, res) => {
  * Exchange Spotify authorization code for JWT token (alternative to callback)
  * For iOS App direct token exchange
  * 
- * Body: { code, redirect_uri? }
- * - redirect_uri: Optional, if not provided uses SPOTIFY_REDIRECT_URI from env
+ * Body: { code, state?, redirect_uri? }
+ * - state: Value returned by GET /api/auth/login; binds the exchange to its PKCE session.
+ *   Required unless ALLOW_LEGACY_CODE_EXCHANGE=true
+ * - redirect_uri: Only used by the legacy exchange (the session's redirect URI is used otherwise);
+ *   defaults to SPOTIFY_REDIRECT_URI
  */
 router.post('/spotify', async (req, res) => {
   try {
-    const { code, redirect_uri } = req.body;
+    const { code, state, redirect_uri } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Authorization code required' });
@@ -62,38 +152,44 @@ router.post('/spotify', async (req, res) => {
       return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    // Use provided redirect_uri or fallback to env variable
-    const redirectUri = redirect_uri || SPOTIFY_REDIRECT_URI;
+    let redirectUri;
+    let codeVerifier = null;
+
+    if (state) {
+      const session = consumeLoginSession(state);
+      if (!session) {
+        return res.status(400).json({ error: 'Invalid or expired state' });
+      }
+      redirectUri = session.redirectUri;
+      codeVerifier = session.codeVerifier;
+    } else if (!ALLOW_LEGACY_CODE_EXCHANGE) {
+      return res.status(400).json({
+        error: 'State required',
+        message: 'Start the login with GET /api/auth/login and send back its state',
+      });
+    } else {
+      // Legacy clients that build their own authorize URL without PKCE
+      console.warn('POST /api/auth/spotify called without state - using non-PKCE code exchange');
+      redirectUri = redirect_uri || SPOTIFY_REDIRECT_URI;
+      if (redirectUri && !isAllowedRedirectUri(redirectUri)) {
+        return res.status(400).json({ error: 'Invalid redirect_uri' });
+      }
+    }
     
     if (!redirectUri) {
       return res.status(400).json({ error: 'Redirect URI required (provide in body or configure SPOTIFY_REDIRECT_URI)' });
     }
 
     // Exchange code for tokens
-    const authString = Buffer.from(
-      `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`
-    ).toString('base64');
-
-    const tokenResponse = await axios.post(
-      'https://accounts.spotify.com/api/token',
-      new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: redirectUri,
-      }),
-      {
-        headers: {
-          'Authorization': `Basic ${authString}`,
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      }
+    const { access_token, refresh_token, expires_in } = await exchangeAuthorizationCode(
+      code,
+      redirectUri,
+      codeVerifier
     );
-
-    const { access_token, refresh_token, expires_in } = tokenResponse.data;
     const tokenExpiresAt = new Date(Date.now() + expires_in * 1000);
 
     // Get user profile from Spotify
-    const userResponse = await axios.get('https://api.spotify.com/v1/me', {
+    const userResponse = await spotifyHttp.get('/me', {
       headers: { 'Authorization': `Bearer ${access_token}` },
     });
 
@@ -113,9 +209,10 @@ router.post('/spotify', async (req, res) => {
             data: {
               displayName: spotifyUser.display_name,
               avatarUrl: spotifyUser.images?.[0]?.url || null,
-              accessToken: access_token,
-              refreshToken: refresh_token,
+              accessToken: encryptToken(access_token),
+              refreshToken: encryptToken(refresh_token),
               tokenExpiresAt: tokenExpiresAt,
+              spotifyDisconnectedAt: null,
             },
           });
         } else {
@@ -124,8 +221,8 @@ router.post('/spotify', async (req, res) => {
               spotifyId: spotifyUser.id,
               displayName: spotifyUser.display_name,
               avatarUrl: spotifyUser.images?.[0]?.url || null,
-              accessToken: access_token,
-              refreshToken: refresh_token,
+              accessToken: encryptToken(access_token),
+              refreshToken: encryptToken(refresh_token),
               tokenExpiresAt: tokenExpiresAt,
             },
           });
@@ -148,8 +245,8 @@ router.post('/spotify', async (req, res) => {
         try {
           const { localCache } = await import('../utils/dbFallback.js');
           await localCache.save(`temp_${spotifyUser.id}`, 'tokens', {
-            accessToken: access_token,
-            refreshToken: refresh_token,
+            accessToken: encryptToken(access_token),
+            refreshToken: encryptToken(refresh_token),
             tokenExpiresAt: tokenExpiresAt.toISOString(),
           });
         } catch (cacheError) {
@@ -173,8 +270,8 @@ router.post('/spotify', async (req, res) => {
       try {
         const { localCache } = await import('../utils/dbFallback.js');
         await localCache.save(`temp_${spotifyUser.id}`, 'tokens', {
-          accessToken: access_token,
-          refreshToken: refresh_token,
+          accessToken: encryptToken(access_token),
+          refreshToken: encryptToken(refresh_token),
           tokenExpiresAt: tokenExpiresAt.toISOString(),
         });
       } catch (cacheError) {
@@ -182,11 +279,13 @@ router.post('/spotify', async (req, res) => {
       }
     }
 
-    // Generate JWT token for our API
-    const jwtToken = generateUserToken(user.id);
+    // Start a session: short-lived access JWT + rotating refresh token
+    const session = await createSession(user.id);
 
     res.json({
-      token: jwtToken,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       userId: user.id,
       user: {
         id: user.id,
@@ -208,9 +307,13 @@ router.post('/spotify', async (req, res) => {
 /**
  * GET /api/auth/callback
  * Handle Spotify OAuth callback
+ * Requires the `state` issued by GET /api/auth/login (CSRF protection + PKCE verifier lookup)
  */
 router.get('/callback', async (req, res) => {
-  const { code, error } = req.query;
+  const { code, state, error } = req.query;
+
+  // Consume the session up front so a state value can never be reused, even on errors
+  const session = consumeLoginSession(state);
 
   if (error) {
     return res.redirect(`musight://auth?error=${encodeURIComponent(error)}`);
@@ -220,32 +323,22 @@ router.get('/callback', async (req, res) => {
     return res.redirect(`musight://auth?error=${encodeURIComponent('No authorization code')}`);
   }
 
+  if (!session) {
+    console.warn('OAuth callback rejected: missing, unknown or expired state');
+    return res.redirect(`musight://auth?error=${encodeURIComponent('Invalid or expired state')}`);
+  }
+
   try {
     // Exchange code for tokens
-    const authString = Buffer.from(
-      `${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`
-    ).toString('base64');
-
-    const tokenResponse = await axios.post(
-      'https://accounts.spotify.com/api/token',
-      new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: SPOTIFY_REDIRECT_URI,
-      }),
-      {
-        headers: {
-          'Authorization': `Basic ${authString}`,
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      }
+    const { access_token, refresh_token, expires_in } = await exchangeAuthorizationCode(
+      code,
+      session.redirectUri,
+      session.codeVerifier
     );
-
-    const { access_token, refresh_token, expires_in } = tokenResponse.data;
     const tokenExpiresAt = new Date(Date.now() + expires_in * 1000);
 
     // Get user profile from Spotify
-    const userResponse = await axios.get('https://api.spotify.com/v1/me', {
+    const userResponse = await spotifyHttp.get('/me', {
       headers: { 'Authorization': `Bearer ${access_token}` },
     });
 
@@ -266,9 +359,10 @@ router.get('/callback', async (req, res) => {
             data: {
               displayName: spotifyUser.display_name,
               avatarUrl: spotifyUser.images?.[0]?.url || null,
-              accessToken: access_token,
-              refreshToken: refresh_token,
+              accessToken: encryptToken(access_token),
+              refreshToken: encryptToken(refresh_token),
               tokenExpiresAt: tokenExpiresAt,
+              spotifyDisconnectedAt: null,
             },
           });
         } else {
@@ -278,8 +372,8 @@ router.get('/callback', async (req, res) => {
               spotifyId: spotifyUser.id,
               displayName: spotifyUser.display_name,
               avatarUrl: spotifyUser.images?.[0]?.url || null,
-              accessToken: access_token,
-              refreshToken: refresh_token,
+              accessToken: encryptToken(access_token),
+              refreshToken: encryptToken(refresh_token),
               tokenExpiresAt: tokenExpiresAt,
             },
           });
@@ -305,11 +399,17 @@ router.get('/callback', async (req, res) => {
       };
     }
 
-    // Generate JWT token for our API
-    const jwtToken = generateUserToken(user.id);
+    // Start a session: short-lived access JWT + rotating refresh token
+    const session = await createSession(user.id);
 
-    // Redirect to app with token
-    res.redirect(`musight://auth?token=${jwtToken}&userId=${user.id}`);
+    // Redirect to app with tokens
+    const redirectParams = new URLSearchParams({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: String(session.expiresIn),
+      userId: user.id,
+    });
+    res.redirect(`musight://auth?${redirectParams.toString()}`);
   } catch (error) {
     console.error('OAuth callback error:', error.response?.data || error.message);
     const errorMessage = error.response?.data?.error_description || error.message;
@@ -341,23 +441,86 @@ router.post('/refresh', async (req, res) => {
       return res.status(404).json({ error: 'User not found or no refresh token' });
     }
 
-    const refreshed = await refreshSpotifyToken(user.refreshToken);
-
-    // Update user with new token
-    await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        accessToken: refreshed.accessToken,
-        tokenExpiresAt: refreshed.tokenExpiresAt,
-      },
-    });
+    // Same path as API calls: persists the new (possibly rotated) tokens and records the refresh
+    await getValidAccessToken(user, { forceRefresh: true });
 
-    res.json({ success: true, expiresAt: refreshed.tokenExpiresAt });
+    res.json({ success: true, expiresAt: user.tokenExpiresAt });
   } catch (error) {
+    if (error.code === 'spotify_disconnected') {
+      return res.status(401).json({ error: 'Spotify disconnected', message: error.message });
+    }
     console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Failed to refresh token' });
   }
 });
 
+/**
+ * POST /api/auth/token/refresh
+ * Exchange a refresh token for a new access token + refresh token pair
+ * Body: { refreshToken }
+ * The presented refresh token is single-use; reusing it revokes the whole session.
+ */
+router.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const session = await rotateRefreshToken(refreshToken);
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, reason: error.reason });
+    }
+    console.error('Session refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session (every refresh token issued since login)
+ * Body: { refreshToken? } - alternatively send the access token in the Authorization header
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (refreshToken) {
+      const result = await revokeSessionByRefreshToken(refreshToken);
+      if (!result) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
+      return res.json({ success: true, revoked: result.revoked });
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : authHeader;
+    const decoded = token ? verifyUserToken(token) : null;
+
+    if (!decoded || !decoded.userId) {
+      return res.status(400).json({ error: 'Refresh token or valid access token required' });
+    }
+
+    if (!decoded.sid) {
+      // Tokens issued before sessions existed can't be revoked, they simply expire
+      return res.json({ success: true, revoked: 0 });
+    }
+
+    const revoked = await revokeSessionFamily(decoded.userId, decoded.sid);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out', message: error.message });
+  }
+});
+
 export default router;
 
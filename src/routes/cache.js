@@ -1,10 +1,13 @@
 import express from 'express';
-import { verifyUserToken } from '../utils/tokenManager.js';
-import { prisma, localCache, checkDatabase } from '../utils/dbFallback.js';
+import { localCache, checkDatabase } from '../utils/dbFallback.js';
 import { PrismaClient } from '@prisma/client';
+import { createAuthenticate, loadMinimalUser } from '../middleware/authenticate.js';
 
 const router = express.Router();
 
+// Cache routes only need the user id and must keep working without a database
+const authenticate = createAuthenticate({ loadUser: loadMinimalUser });
+
 // Initialize Prisma with error handling (for this route file)
 let localPrisma;
 try {
@@ -14,68 +17,6 @@ try {
   localPrisma = null;
 }
 
-/**
- * Middleware to authenticate requests
- */
-async function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    let token;
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else {
-      token = authHeader;
-    }
-
-    if (!token || token.trim() === '') {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const { verifyUserToken } = await import('../utils/tokenManager.js');
-    const decoded = verifyUserToken(token);
-
-    if (!decoded || !decoded.userId) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Try database first, then fallback to just using userId
-    try {
-      const isDbAvailable = await checkDatabase();
-      if (isDbAvailable && localPrisma) {
-        try {
-          const user = await localPrisma.user.findUnique({
-            where: { id: decoded.userId },
-          });
-          if (!user) {
-            // Fallback to minimal user object
-            req.user = { id: decoded.userId };
-          } else {
-            req.user = user;
-          }
-        } catch (dbError) {
-          // Fallback to minimal user object
-          req.user = { id: decoded.userId };
-        }
-      } else {
-        // Use minimal user object when DB unavailable
-        req.user = { id: decoded.userId };
-      }
-    } catch (error) {
-      // Fallback to minimal user object
-      req.user = { id: decoded.userId };
-    }
-
-    next();
-  } catch (error) {
-    console.error('Authentication error:', error.message);
-    res.status(401).json({ error: 'Authentication failed', message: error.message });
-  }
-}
-
 /**
  * GET /api/cache/list
  * List all cached data for the authenticated user
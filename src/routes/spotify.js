@@ -1,122 +1,123 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { verifyUserToken } from '../utils/tokenManager.js';
-import { SpotifyService } from '../services/spotifyService.js';
-import { AnalysisService } from '../services/analysisService.js';
+import { SpotifyService, isAuthError } from '../services/spotifyService.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { enqueueSync, describeQueuedSync } from '../services/syncJobs.js';
+import { MAX_PAGINATED_ITEMS } from '../utils/spotifyClient.js';
+import { fanOut } from '../utils/fanOut.js';
+import {
+  summarizeAudioAnalysis,
+  DEFAULT_RESOLUTION,
+  MIN_RESOLUTION,
+  MAX_RESOLUTION,
+} from '../utils/audioAnalysis.js';
 
 const router = express.Router();
 
-// Initialize Prisma with error handling
-let prisma;
-try {
-  prisma = new PrismaClient();
-} catch (error) {
-  console.error('Failed to initialize Prisma in spotify routes:', error);
-  prisma = null;
+// Most ids accepted by the batch endpoints (fetched from Spotify in chunks of 50)
+const MAX_BATCH_IDS = 200;
+
+/**
+ * Read ?ids=a,b,c for the batch endpoints
+ * @returns {Object} { ids } or { error } describing why the parameter was rejected
+ */
+function getBatchIds(query) {
+  const raw = Array.isArray(query.ids) ? query.ids.join(',') : query.ids;
+  const ids = (raw || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length === 0) {
+    return { error: 'Missing ids parameter' };
+  }
+  if (ids.length > MAX_BATCH_IDS) {
+    return { error: `At most ${MAX_BATCH_IDS} ids per request` };
+  }
+  return { ids };
 }
 
 /**
- * Middleware to authenticate requests
+ * 401 for requests that failed because the user's Spotify authorization is unusable
+ * The client has to send the user through login again.
  */
-async function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+function sendAuthError(res, error) {
+  return res.status(401).json({
+    error: 'Spotify disconnected',
+    message: error.code === 'spotify_disconnected' ? error.message : 'Spotify rejected the access token, please log in again',
+    reason: 'spotify_disconnected',
+  });
+}
 
-    // Handle both "Bearer token" and just "token" formats
-    let token;
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else {
-      token = authHeader;
-    }
+/**
+ * Read ?all=true&max=N into the { all, maxItems } options of the paginated SpotifyService methods
+ */
+function getPaginationOptions(query) {
+  const max = parseInt(query.max) || MAX_PAGINATED_ITEMS;
+  return {
+    all: query.all === 'true',
+    maxItems: Math.min(Math.max(max, 1), MAX_PAGINATED_ITEMS),
+  };
+}
 
-    if (!token || token.trim() === '') {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+// Optional sections of /track/:trackId/details (the track itself is always fetched)
+const DETAIL_SECTIONS = ['features', 'analysis', 'album', 'artistTop'];
 
-    const decoded = verifyUserToken(token);
+/**
+ * Read ?include=a,b (or repeated ?include=a&include=b) for the details endpoint
+ * @returns {Object} { include } or { error } describing why the parameter was rejected
+ */
+function getIncludeSections(query) {
+  if (!query.include) {
+    return { include: DETAIL_SECTIONS };
+  }
 
-    if (!decoded || !decoded.userId) {
-      console.error('Token verification failed:', { 
-        tokenPresent: !!token, 
-        tokenLength: token.length,
-        decoded 
-      });
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+  const error = `include must be a comma-separated subset of: ${DETAIL_SECTIONS.join(', ')}`;
+  const raw = Array.isArray(query.include) ? query.include.join(',') : query.include;
+  if (typeof raw !== 'string') {
+    return { error };
+  }
 
-    // Handle database unavailable scenario or temp users
-    if (!prisma || decoded.userId.startsWith('temp_')) {
-      // When database unavailable or temp user, create minimal user from token
-      // For temp users, extract spotifyId and ensure we have accessToken stored in temp user object
-      req.user = { 
-        id: decoded.userId,
-        // Try to extract spotifyId from temp user ID format (temp_spotifyId)
-        spotifyId: decoded.userId.startsWith('temp_') ? decoded.userId.replace('temp_', '') : null,
-      };
-      return next();
-    }
+  const include = raw.split(',').map(section => section.trim()).filter(Boolean);
+  if (include.some(section => !DETAIL_SECTIONS.includes(section))) {
+    return { error };
+  }
+  return { include };
+}
 
-    try {
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-      });
-
-      if (!user) {
-        console.warn('User not found in database:', decoded.userId, '- allowing request with minimal user object');
-        // Fallback: allow request to continue with minimal user object
-        req.user = { 
-          id: decoded.userId,
-          spotifyId: null,
-        };
-        return next();
-      }
+/**
+ * Status and timing of one details section for the response (data is returned separately)
+ */
+function describeSection(outcome) {
+  return {
+    status: outcome.status,
+    durationMs: outcome.durationMs,
+    ...(outcome.reason && { reason: outcome.reason }),
+    ...(outcome.error && {
+      error: { message: outcome.error.message, status: outcome.error.response?.status || outcome.error.status || null },
+    }),
+  };
+}
 
-      req.user = user;
-      next();
-    } catch (dbError) {
-      console.error('Database error in authentication:', dbError);
-      // Fallback: allow request to continue with minimal user object
-      req.user = { 
-        id: decoded.userId,
-        spotifyId: decoded.userId.startsWith('temp_') ? decoded.userId.replace('temp_', '') : null,
-      };
-      next();
-    }
-  } catch (error) {
-    console.error('Authentication error:', error.message);
-    res.status(401).json({ error: 'Authentication failed', message: error.message });
-  }
+/**
+ * Wrap a list in the paging shape the details response has always used
+ */
+function asPage(items) {
+  return { items, total: items.length, limit: items.length, offset: 0 };
 }
 
 /**
  * POST /api/spotify/sync
- * Sync user's listening data from Spotify
+ * Queue a sync of the user's recently played tracks and top artists
+ * Responds 202 with the job; poll GET /api/sync/jobs/:id for the result
  */
 router.post('/sync', authenticate, async (req, res) => {
-  // Set timeout for the entire request
-  req.setTimeout(60000, () => { // 60 seconds timeout
-    console.error('Request timeout for /api/spotify/sync');
-  });
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({
+      error: 'Database unavailable',
+      message: 'Syncing needs the database, please log in again later',
+    });
+  }
 
   try {
-    const analysisService = new AnalysisService(req.user);
-    
-    const [tracksResult, artistsResult] = await Promise.all([
-      analysisService.syncRecentlyPlayed(),
-      analysisService.syncTopArtists(),
-    ]);
-
-    res.json({
-      success: true,
-      tracks: tracksResult,
-      artists: artistsResult,
-    });
+    res.status(202).json(describeQueuedSync(await enqueueSync(req.user.id, 'sync_recent')));
   } catch (error) {
-    console.error('Error syncing Spotify data:', error);
+    console.error('Error queueing Spotify sync:', error);
     res.status(500).json({ 
       error: 'Failed to sync data',
       message: error.message 
@@ -268,6 +269,60 @@ router.get('/artist/:artistId', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/spotify/tracks
+ * Get several tracks at once
+ * Query params: ids (comma-separated track IDs, max 200)
+ * Results follow the order of ids; ids that couldn't be resolved carry an error instead of a track
+ */
+router.get('/tracks', authenticate, async (req, res) => {
+  const { ids, error } = getBatchIds(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const spotifyService = new SpotifyService(req.user);
+    const results = await spotifyService.getTracks(ids);
+    res.json({
+      items: results.map(({ id, data, error }) => ({ id, track: data, error })),
+    });
+  } catch (error) {
+    if (isAuthError(error)) {
+      return sendAuthError(res, error);
+    }
+    console.error('Error fetching tracks:', error);
+    res.status(500).json({ error: 'Failed to fetch tracks', message: error.message });
+  }
+});
+
+/**
+ * GET /api/spotify/artists
+ * Get several artists at once
+ * Query params: ids (comma-separated artist IDs, max 200)
+ * Results follow the order of ids; ids that couldn't be resolved carry an error instead of an artist
+ */
+router.get('/artists', authenticate, async (req, res) => {
+  const { ids, error } = getBatchIds(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const spotifyService = new SpotifyService(req.user);
+    const results = await spotifyService.getArtists(ids);
+    res.json({
+      items: results.map(({ id, data, error }) => ({ id, artist: data, error })),
+    });
+  } catch (error) {
+    if (isAuthError(error)) {
+      return sendAuthError(res, error);
+    }
+    console.error('Error fetching artists:', error);
+    res.status(500).json({ error: 'Failed to fetch artists', message: error.message });
+  }
+});
+
 /**
  * GET /api/spotify/track/:trackId/audio-features
  * Get audio features for a track
@@ -308,10 +363,44 @@ router.get('/track/:trackId/audio-analysis', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/spotify/track/:trackId/analysis-summary
+ * Compact audio analysis: loudness curve, sections, beat-grid stats and pitch/timbre profile
+ * Query params: resolution (points in the loudness curve, default: 100, 10-1000)
+ */
+router.get('/track/:trackId/analysis-summary', authenticate, async (req, res) => {
+  // Set timeout for the entire request
+  req.setTimeout(30000, () => { // 30 seconds timeout
+    console.error('Request timeout for /api/spotify/track/:trackId/analysis-summary');
+  });
+
+  const resolution = Math.min(
+    Math.max(parseInt(req.query.resolution) || DEFAULT_RESOLUTION, MIN_RESOLUTION),
+    MAX_RESOLUTION
+  );
+
+  try {
+    const spotifyService = new SpotifyService(req.user);
+    const audioAnalysis = await spotifyService.getAudioAnalysis(req.params.trackId);
+    res.json({
+      trackId: req.params.trackId,
+      ...summarizeAudioAnalysis(audioAnalysis, { resolution }),
+    });
+  } catch (error) {
+    console.error('Error summarizing audio analysis:', error);
+    res.status(500).json({ error: 'Failed to summarize audio analysis', message: error.message });
+  }
+});
+
 /**
  * GET /api/spotify/track/:trackId/details
  * Get comprehensive track details including audio features, audio analysis, 
  * album tracks, and artist top tracks
+ * Query params: include (comma-separated subset of features, analysis, album, artistTop; default: all),
+ *   analysisFormat ('full' (default) or 'summary' for the compact analysis-summary shape)
+ * Independent calls run concurrently; album tracks and artist top tracks wait for the track.
+ * sections reports the status and timing of every fetched section.
+ * Answers 401 (spotify_disconnected) when every fetched section failed with an auth error.
  */
 router.get('/track/:trackId/details', authenticate, async (req, res) => {
   // Set timeout for the entire request
@@ -320,70 +409,58 @@ router.get('/track/:trackId/details', authenticate, async (req, res) => {
   });
 
   try {
+    const { include, error } = getIncludeSections(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid include', message: error });
+    }
+
     const spotifyService = new SpotifyService(req.user);
     const trackId = req.params.trackId;
-    
-    // Fetch data with individual error handling to prevent one failure from breaking the whole request
-    let track, audioFeatures, audioAnalysis, albumTracks, artistTopTracks;
-    
-    try {
-      track = await spotifyService.getTrack(trackId);
-    } catch (trackError) {
-      console.error('Error fetching track:', trackError);
-      track = null;
-    }
-    
-    try {
-      audioFeatures = await spotifyService.getAudioFeaturesForTrack(trackId);
-    } catch (audioFeaturesError) {
-      console.error('Error fetching audio features:', audioFeaturesError);
-      audioFeatures = null;
-    }
-    
-    try {
-      audioAnalysis = await spotifyService.getAudioAnalysis(trackId);
-    } catch (audioAnalysisError) {
-      console.error('Error fetching audio analysis:', audioAnalysisError);
-      audioAnalysis = null;
+    const startedAt = Date.now();
+
+    const tasks = {
+      track: { run: () => spotifyService.getTrack(trackId) },
+      features: { run: () => spotifyService.getAudioFeaturesForTrack(trackId) },
+      analysis: { run: () => spotifyService.getAudioAnalysis(trackId) },
+      album: {
+        deps: ['track'],
+        when: ({ track }) => Boolean(track?.album?.id),
+        run: ({ track }) => spotifyService.getAlbumTracks(track.album.id),
+      },
+      artistTop: {
+        deps: ['track'],
+        when: ({ track }) => Boolean(track?.artists?.[0]?.id),
+        run: ({ track }) => spotifyService.getArtistTopTracks(track.artists[0].id),
+      },
+    };
+    for (const section of DETAIL_SECTIONS) {
+      if (!include.includes(section)) {
+        delete tasks[section];
+      }
     }
-    
-    // Extract album ID and artist ID from the track if available
-    let albumId, artistId;
-    if (track && track.album) {
-      albumId = track.album.id;
+
+    const outcomes = await fanOut(tasks);
+    for (const [section, outcome] of Object.entries(outcomes)) {
+      if (outcome.status === 'error') {
+        console.error(`Error fetching track details section ${section} for ${trackId}:`, outcome.error.message);
+      }
     }
-    if (track && track.artists && track.artists[0]) {
-      artistId = track.artists[0].id;
+
+    // Nothing to return when Spotify rejected every call: answer like the batch endpoints
+    const fetched = Object.values(outcomes).filter(outcome => outcome.status !== 'skipped');
+    if (fetched.length > 0 && fetched.every(outcome => outcome.status === 'error' && isAuthError(outcome.error))) {
+      return sendAuthError(res, fetched[0].error);
     }
-    
-    // Fetch related data if IDs are available
-    try {
-      if (albumId) {
-        albumTracks = await spotifyService.getAlbumTracks(albumId);
-      } else {
-        albumTracks = [];
+
+    const dataOf = section => (outcomes[section]?.status === 'ok' ? outcomes[section].data : null);
+    const formatAnalysis = audioAnalysis => {
+      if (!audioAnalysis) {
+        return null;
       }
-    } catch (albumError) {
-      console.error('Error fetching album tracks:', albumError);
-      albumTracks = [];
-    }
-    
-    try {
-      if (artistId) {
-        artistTopTracks = await spotifyService.getArtistTopTracks(artistId);
-      } else {
-        artistTopTracks = [];
+      if (req.query.analysisFormat === 'summary') {
+        return summarizeAudioAnalysis(audioAnalysis);
       }
-    } catch (artistError) {
-      console.error('Error fetching artist top tracks:', artistError);
-      artistTopTracks = [];
-    }
-    
-    // Return comprehensive track details (some may be null if individual requests failed)
-    res.json({
-      track: track,
-      audioFeatures: audioFeatures,
-      audioAnalysis: audioAnalysis ? {
+      return {
         // Only return key sections of audio analysis to avoid huge payloads
         meta: audioAnalysis.meta,
         track: audioAnalysis.track,
@@ -395,19 +472,20 @@ router.get('/track/:trackId/details', authenticate, async (req, res) => {
         tatums: audioAnalysis.tatums || [],
         beats_count: audioAnalysis.beats ? audioAnalysis.beats.length : 0,
         sections_count: audioAnalysis.sections ? audioAnalysis.sections.length : 0,
-      } : null,
-      albumTracks: {
-        items: albumTracks,
-        total: albumTracks.length,
-        limit: albumTracks.length,
-        offset: 0
-      },
-      artistTopTracks: {
-        items: artistTopTracks,
-        total: artistTopTracks.length,
-        limit: artistTopTracks.length,
-        offset: 0
-      },
+      };
+    };
+
+    // Return comprehensive track details (sections that failed or weren't included are null / empty)
+    res.json({
+      track: dataOf('track'),
+      audioFeatures: dataOf('features'),
+      audioAnalysis: formatAnalysis(dataOf('analysis')),
+      albumTracks: asPage(dataOf('album') || []),
+      artistTopTracks: asPage(dataOf('artistTop') || []),
+      sections: Object.fromEntries(
+        Object.entries(outcomes).map(([section, outcome]) => [section, describeSection(outcome)])
+      ),
+      durationMs: Date.now() - startedAt,
     });
   } catch (error) {
     console.error('Error fetching comprehensive track details:', error);
@@ -573,6 +651,7 @@ router.get('/album/:albumId/tracks', authenticate, async (req, res) => {
 /**
  * GET /api/spotify/playlists
  * Get user's playlists
+ * Query params: limit (default: 50), offset (default: 0), all=true (every page), max (cap for all)
  */
 router.get('/playlists', authenticate, async (req, res) => {
   // Set timeout for the entire request
@@ -585,7 +664,7 @@ router.get('/playlists', authenticate, async (req, res) => {
     const offset = parseInt(req.query.offset) || 0;
     
     const spotifyService = new SpotifyService(req.user);
-    const playlists = await spotifyService.getPlaylists(limit, offset);
+    const playlists = await spotifyService.getPlaylists(limit, offset, getPaginationOptions(req.query));
     res.json(playlists);
   } catch (error) {
     console.error('Error fetching playlists:', error);
@@ -618,7 +697,7 @@ router.get('/top-playlists', authenticate, async (req, res) => {
 /**
  * GET /api/spotify/me/tracks
  * Get user's saved/liked tracks
- * Query params: limit (default: 50), offset (default: 0)
+ * Query params: limit (default: 50), offset (default: 0), all=true (every page), max (cap for all)
  */
 router.get('/me/tracks', authenticate, async (req, res) => {
   // Set timeout for the entire request
@@ -630,7 +709,7 @@ router.get('/me/tracks', authenticate, async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
     const spotifyService = new SpotifyService(req.user);
-    const tracks = await spotifyService.getUserSavedTracks(limit, offset);
+    const tracks = await spotifyService.getUserSavedTracks(limit, offset, getPaginationOptions(req.query));
     res.json(tracks);
   } catch (error) {
     console.error('Error fetching user saved tracks:', error);
@@ -667,7 +746,7 @@ router.get('/me/tracks/contains', authenticate, async (req, res) => {
 /**
  * GET /api/spotify/me/following
  * Get user's followed artists
- * Query params: limit (default: 50), after (cursor for pagination)
+ * Query params: limit (default: 50), after (cursor for pagination), all=true (every page), max (cap for all)
  */
 router.get('/me/following', authenticate, async (req, res) => {
   // Set timeout for the entire request
@@ -678,8 +757,9 @@ router.get('/me/following', authenticate, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const after = req.query.after || null;
+    const pagination = getPaginationOptions(req.query);
     const spotifyService = new SpotifyService(req.user);
-    const artists = await spotifyService.getUserFollowedArtists(limit, after);
+    const artists = await spotifyService.getUserFollowedArtists(limit, after, pagination);
     
     // Return data in the format expected by the frontend
     res.json({
@@ -689,7 +769,7 @@ router.get('/me/following', authenticate, async (req, res) => {
         limit: limit,
         offset: 0, // For compatibility, though Spotify uses 'after' for pagination
         // Include next cursor if there are more items
-        next: artists.length === limit && artists.length > 0 ? `?limit=${limit}&after=${artists[artists.length - 1].artistId}` : null
+        next: !pagination.all && artists.length === limit && artists.length > 0 ? `?limit=${limit}&after=${artists[artists.length - 1].artistId}` : null
       }
     });
   } catch (error) {
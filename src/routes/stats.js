@@ -1,9 +1,14 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { verifyUserToken } from '../utils/tokenManager.js';
 import { AnalysisService } from '../services/analysisService.js';
 import { SpotifyService } from '../services/spotifyService.js';
+import { ChartService, CHART_TYPES, TOP_TIME_RANGES } from '../services/chartService.js';
+import { enqueueSync, describeQueuedSync } from '../services/syncJobs.js';
 import { withCacheFallback, checkDatabase } from '../utils/dbFallback.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { resolveTimeZone } from '../middleware/timezone.js';
+import { NOT_SKIPPED, parseExcludeSkips } from '../utils/playDuration.js';
+import { getTimeRangeStart } from '../utils/timezone.js';
 
 const router = express.Router();
 
@@ -16,90 +21,18 @@ try {
   prisma = null;
 }
 
-/**
- * Middleware to authenticate requests
- */
-async function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    // Handle both "Bearer token" and just "token" formats
-    let token;
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else {
-      token = authHeader;
-    }
-
-    if (!token || token.trim() === '') {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const decoded = verifyUserToken(token);
-
-    if (!decoded || !decoded.userId) {
-      console.error('Token verification failed:', { 
-        tokenPresent: !!token, 
-        tokenLength: token.length,
-        decoded 
-      });
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Handle database unavailable scenario or temp users
-    if (!prisma || decoded.userId.startsWith('temp_')) {
-      // When database unavailable or temp user, create minimal user from token
-      req.user = { 
-        id: decoded.userId,
-        // Try to extract spotifyId from temp user ID format (temp_spotifyId)
-        spotifyId: decoded.userId.startsWith('temp_') ? decoded.userId.replace('temp_', '') : null,
-      };
-      return next();
-    }
-
-    try {
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-      });
-
-      if (!user) {
-        console.warn('User not found in database:', decoded.userId, '- allowing request with minimal user object');
-        // Fallback: allow request to continue with minimal user object
-        req.user = { 
-          id: decoded.userId,
-          spotifyId: null,
-        };
-        return next();
-      }
-
-      req.user = user;
-      next();
-    } catch (dbError) {
-      console.error('Database error in authentication:', dbError);
-      // Fallback: allow request to continue with minimal user object
-      req.user = { 
-        id: decoded.userId,
-        spotifyId: decoded.userId.startsWith('temp_') ? decoded.userId.replace('temp_', '') : null,
-      };
-      next();
-    }
-  } catch (error) {
-    console.error('Authentication error:', error.message);
-    res.status(401).json({ error: 'Authentication failed', message: error.message });
-  }
-}
-
 /**
  * GET /api/stats/dashboard
  * Get comprehensive dashboard data
+ * Query params: excludeSkips (true to leave skipped plays out), tz
  */
-router.get('/dashboard', authenticate, async (req, res) => {
+router.get('/dashboard', authenticate, resolveTimeZone, async (req, res) => {
   try {
     const analysisService = new AnalysisService(req.user);
-    const dashboard = await analysisService.getDashboard();
+    const dashboard = await analysisService.getDashboard({
+      excludeSkips: parseExcludeSkips(req.query.excludeSkips),
+      timeZone: req.timeZone,
+    });
     res.json(dashboard);
   } catch (error) {
     console.error('Error fetching dashboard:', error);
@@ -110,13 +43,16 @@ router.get('/dashboard', authenticate, async (req, res) => {
 /**
  * GET /api/stats/listening
  * Get listening statistics
- * Query params: timeRange (24h, 7d, 30d, all)
+ * Query params: timeRange (24h, 7d, 30d, all), excludeSkips, tz (IANA time zone, defaults to the user's)
  */
-router.get('/listening', authenticate, async (req, res) => {
+router.get('/listening', authenticate, resolveTimeZone, async (req, res) => {
   try {
     const { timeRange = '7d' } = req.query;
     const analysisService = new AnalysisService(req.user);
-    const stats = await analysisService.getListeningStats(timeRange);
+    const stats = await analysisService.getListeningStats(timeRange, {
+      excludeSkips: parseExcludeSkips(req.query.excludeSkips),
+      timeZone: req.timeZone,
+    });
     res.json(stats);
   } catch (error) {
     console.error('Error fetching listening stats:', error);
@@ -127,7 +63,7 @@ router.get('/listening', authenticate, async (req, res) => {
 /**
  * GET /api/stats/top-tracks
  * Get top tracks
- * Query params: time_range (short_term, medium_term, long_term), limit
+ * Query params: time_range (short_term, medium_term, long_term), limit, excludeSkips
  * Can optionally sync from Spotify first by adding ?sync=true
  */
 router.get('/top-tracks', authenticate, async (req, res) => {
@@ -143,7 +79,8 @@ router.get('/top-tracks', authenticate, async (req, res) => {
     // Get ALL tracks from database (aggregated by play count across all time)
     const allTracks = await prisma.trackStat.findMany({
       where: { 
-        userId: req.user.id 
+        userId: req.user.id,
+        ...(parseExcludeSkips(req.query.excludeSkips) && NOT_SKIPPED),
       },
       orderBy: { playedAt: 'desc' }
     });
@@ -194,40 +131,23 @@ router.get('/top-tracks', authenticate, async (req, res) => {
 /**
  * GET /api/stats/top-tracks-by-time
  * Get top tracks by specific time range
- * Query params: time_range (24h, 7d, 30d, all), limit
+ * Query params: time_range (24h, 7d, 30d, all), limit, excludeSkips, tz
  */
-router.get('/top-tracks-by-time', authenticate, async (req, res) => {
+router.get('/top-tracks-by-time', authenticate, resolveTimeZone, async (req, res) => {
   try {
     const { time_range = 'all', limit = 20 } = req.query;
     const analysisService = new AnalysisService(req.user);
 
-    // Get tracks based on time range from database
-    const now = new Date();
-    let startDate;
-
-    switch (time_range) {
-      case '24h':
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'all':
-        startDate = new Date(0); // All time
-        break;
-      default:
-        // Default to 'all' if invalid time_range provided
-        startDate = new Date(0);
-    }
+    // Get tracks based on time range from database, in the user's time zone
+    // Default to 'all' if invalid time_range provided
+    const startDate = getTimeRangeStart(time_range, req.timeZone) || new Date(0);
 
     // Get tracks from database within the specified time range
     const allTracks = await prisma.trackStat.findMany({
       where: {
         userId: req.user.id,
         playedAt: { gte: startDate },
+        ...(parseExcludeSkips(req.query.excludeSkips) && NOT_SKIPPED),
       },
     });
 
@@ -277,117 +197,27 @@ router.get('/top-tracks-by-time', authenticate, async (req, res) => {
 /**
  * GET /api/stats/top-artists-by-time
  * Get top artists by specific time range
- * Query params: time_range (24h, 7d, 30d, all), limit
+ * Query params: time_range (24h, 7d, 30d, all), limit, excludeSkips, tz
  */
-router.get('/top-artists-by-time', authenticate, async (req, res) => {
+router.get('/top-artists-by-time', authenticate, resolveTimeZone, async (req, res) => {
   try {
     const { time_range = 'all', limit = 20 } = req.query;
     const analysisService = new AnalysisService(req.user);
 
-    // Get tracks based on time range from database
-    const now = new Date();
-    let startDate;
-
-    switch (time_range) {
-      case '24h':
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'all':
-        startDate = new Date(0); // All time
-        break;
-      default:
-        // Default to 'all' if invalid time_range provided
-        startDate = new Date(0);
-    }
-
-    // Get tracks from database within the specified time range
-    const allTracks = await prisma.trackStat.findMany({
-      where: {
-        userId: req.user.id,
-        playedAt: { gte: startDate },
-      },
+    const topArtists = await analysisService.getTopArtistsByTime({
+      timeRange: time_range,
+      timeZone: req.timeZone,
+      excludeSkips: parseExcludeSkips(req.query.excludeSkips),
+      limit: Math.max(parseInt(limit) || 20, 1),
     });
 
-    // Count plays per artist based on tracks
-    const artistCounts = {};
-    allTracks.forEach(track => {
-      // Use artist name as key since we don't have artist IDs in trackStat
-      const key = track.artist;
-      if (!artistCounts[key]) {
-        artistCounts[key] = {
-          name: track.artist,
-          artistId: null, // We don't have artistId in TrackStat, will try to get from ArtistStat if needed
-          count: 0,
-          lastPlayed: track.playedAt,
-          imageUrl: track.imageUrl || null, // Use the imageUrl from any track by this artist
-        };
-      }
-      artistCounts[key].count++;
-      if (track.playedAt > artistCounts[key].lastPlayed) {
-        artistCounts[key].lastPlayed = track.playedAt;
-      }
-    });
-    
-    // Try to get artist IDs and images from ArtistStat table if available
-    // Use findMany to get all matching artists at once for better performance
-    const artistNames = Object.keys(artistCounts);
-    console.log(`[DEBUG] Looking for ${artistNames.length} artists in ArtistStat:`, artistNames.slice(0, 5)); // Log first 5 for debugging
-    if (artistNames.length > 0) {
-      try {
-        const artistStats = await prisma.artistStat.findMany({
-          where: {
-            userId: req.user.id,
-            name: { in: artistNames },
-          },
-          select: {
-            name: true,
-            artistId: true,
-            imageUrl: true,
-          }
-        });
-        
-        console.log(`[DEBUG] Found ${artistStats.length} matching artists in ArtistStat`); // Debug log
-        
-        // Map the results back to artistCounts
-        artistStats.forEach(artistStat => {
-          if (artistCounts[artistStat.name]) {
-            artistCounts[artistStat.name].artistId = artistStat.artistId;
-            if (!artistCounts[artistStat.name].imageUrl) {
-              artistCounts[artistStat.name].imageUrl = artistStat.imageUrl;
-            }
-          }
-        });
-        
-        // Log which artists didn't get IDs
-        const missingIds = Object.values(artistCounts).filter(artist => !artist.artistId);
-        if (missingIds.length > 0) {
-          console.log(`[DEBUG] ${missingIds.length} artists missing IDs:`, missingIds.slice(0, 5).map(a => a.name));
-        }
-      } catch (error) {
-        // If ArtistStat query fails, continue with existing data
-        console.warn('Could not fetch artist details from ArtistStat:', error.message);
-      }
-    }
-
-    // Convert to array and sort by play count
-    const topArtists = Object.values(artistCounts)
-      .sort((a, b) => b.count - a.count)
-      .slice(0, parseInt(limit));
-
-    // Ensure all artists have required fields including imageUrl
     const formattedArtists = topArtists.map(artist => ({
-      artistId: artist.artistId || null,
+      artistId: artist.artistId,
       name: artist.name,
       imageUrl: artist.imageUrl || null,
-      count: artist.count || 0,
-      plays: artist.count || 0, // Alias for count
-      lastPlayed: artist.lastPlayed || null,
+      count: artist.plays,
+      plays: artist.plays, // Alias for count
+      lastPlayed: artist.lastPlayed,
     }));
 
     res.json(formattedArtists);
@@ -397,6 +227,67 @@ router.get('/top-artists-by-time', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/heatmap
+ * Day-of-week x hour matrix of play counts and minutes
+ * Query params: time_range (24h, 7d, 30d, all), artistId, artist, genre, excludeSkips, tz
+ */
+router.get('/heatmap', authenticate, resolveTimeZone, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({ error: 'Database unavailable', message: 'Heatmap needs stored listening history' });
+  }
+
+  try {
+    const { time_range = 'all', artistId, artist, genre } = req.query;
+    const analysisService = new AnalysisService(req.user);
+    const heatmap = await analysisService.getHeatmap({
+      timeRange: time_range,
+      timeZone: req.timeZone,
+      artistId: typeof artistId === 'string' && artistId ? artistId : null,
+      artist: typeof artist === 'string' && artist ? artist : null,
+      genre: typeof genre === 'string' && genre ? genre : null,
+      excludeSkips: parseExcludeSkips(req.query.excludeSkips),
+    });
+    res.json(heatmap);
+  } catch (error) {
+    console.error('Error fetching heatmap:', error);
+    res.status(500).json({ error: 'Failed to fetch listening heatmap' });
+  }
+});
+
+/**
+ * GET /api/stats/charts/history
+ * Rank history of Spotify top-list snapshots with movement since the previous snapshot
+ * Query params: type (tracks, artists), time_range (short_term, medium_term, long_term), days, limit
+ */
+router.get('/charts/history', authenticate, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({ error: 'Database unavailable', message: 'Chart history needs stored snapshots' });
+  }
+
+  const { type = 'tracks', time_range = 'medium_term' } = req.query;
+  if (!CHART_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid type', message: `type must be one of: ${CHART_TYPES.join(', ')}` });
+  }
+  if (!TOP_TIME_RANGES.includes(time_range)) {
+    return res.status(400).json({ error: 'Invalid time_range', message: `time_range must be one of: ${TOP_TIME_RANGES.join(', ')}` });
+  }
+
+  try {
+    const chartService = new ChartService(req.user);
+    const history = await chartService.getChartHistory({
+      type,
+      timeRange: time_range,
+      days: Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50),
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching chart history:', error);
+    res.status(500).json({ error: 'Failed to fetch chart history' });
+  }
+});
+
 /**
  * GET /api/stats/top-artists
  * Get top artists
@@ -437,6 +328,8 @@ router.get('/top-artists', authenticate, async (req, res) => {
       genres: artist.genres || [],
       imageUrl: artist.imageUrl || null,
       playCount: artist.playCount || 0,
+      firstPlayedAt: artist.firstPlayedAt || null,
+      lastPlayedAt: artist.lastPlayedAt || null,
       popularity: artist.popularity || null,
       createdAt: artist.createdAt || new Date().toISOString(),
       updatedAt: artist.updatedAt || new Date().toISOString(),
@@ -521,12 +414,11 @@ router.get('/top-playlists', authenticate, async (req, res) => {
 /**
  * GET /api/stats/profile
  * Get user's music profile
- * If profile doesn't exist, triggers syncUserPlayback + buildMusicProfile
+ * If profile doesn't exist, queues a sync job and responds 202 with the job (see /api/sync/jobs/:id)
  * Falls back to local cache if database unavailable
  */
 router.get('/profile', authenticate, async (req, res) => {
   try {
-    const analysisService = new AnalysisService(req.user);
     const userId = req.user.id;
 
     // Try to get profile from database or cache
@@ -542,13 +434,10 @@ router.get('/profile', authenticate, async (req, res) => {
           where: { userId },
         });
 
-        // If profile doesn't exist, trigger sync and build
+        // If profile doesn't exist, queue a full sync; the client polls the job and asks again
         if (!profile) {
-          console.log(`Profile not found for user ${userId}, triggering sync...`);
-          await analysisService.syncUserPlayback('medium_term');
-          profile = await prismaClient.musicProfile.findUnique({
-            where: { userId },
-          });
+          console.log(`Profile not found for user ${userId}, queueing sync...`);
+          return { pending: await enqueueSync(userId, 'sync_playback', { timeRange: 'medium_term' }) };
         }
 
         return profile;
@@ -609,6 +498,10 @@ router.get('/profile', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Failed to create music profile' });
     }
 
+    if (profile.pending) {
+      return res.status(202).json(describeQueuedSync(profile.pending));
+    }
+
     // Return profile data in the expected format
     res.json({
       topTracks: profile.topTracks || [],
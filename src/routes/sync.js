@@ -0,0 +1,97 @@
+import express from 'express';
+import { authenticate } from '../middleware/authenticate.js';
+import { jobQueue, serializeJob } from '../services/jobQueue.js';
+import { SYNC_JOB_TYPES, enqueueSync, describeQueuedSync } from '../services/syncJobs.js';
+import { TOP_TIME_RANGES } from '../services/chartService.js';
+import { RecentlyPlayedPoller } from '../services/recentlyPlayedPoller.js';
+import { AudioFeatureBackfill } from '../services/audioFeatureBackfill.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/sync/jobs
+ * Queue a background sync of the user's Spotify data
+ * Body: { type: 'sync_playback' | 'sync_recent' | 'backfill_audio_features', timeRange }
+ *   (defaults: sync_playback, medium_term)
+ * If a sync of the same type is already queued or running, that job is returned instead.
+ */
+router.post('/jobs', authenticate, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({
+      error: 'Database unavailable',
+      message: 'Background syncs need the database, please log in again later',
+    });
+  }
+
+  const { type = 'sync_playback', timeRange = 'medium_term' } = req.body || {};
+  if (!SYNC_JOB_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid job type', message: `type must be one of: ${SYNC_JOB_TYPES.join(', ')}` });
+  }
+  if (!TOP_TIME_RANGES.includes(timeRange)) {
+    return res.status(400).json({ error: 'Invalid timeRange', message: `timeRange must be one of: ${TOP_TIME_RANGES.join(', ')}` });
+  }
+
+  try {
+    const payload = type === 'sync_playback' ? { timeRange } : {};
+    res.status(202).json(describeQueuedSync(await enqueueSync(req.user.id, type, payload)));
+  } catch (error) {
+    console.error('Error queueing sync job:', error);
+    res.status(500).json({ error: 'Failed to queue sync', message: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/jobs/:id
+ * Status, progress and result of a sync job
+ */
+router.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job || job.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Error fetching sync job:', error);
+    res.status(500).json({ error: 'Failed to fetch sync job', message: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/polling
+ * Recently-played polling schedule for the user, including windows where plays were probably missed
+ */
+router.get('/polling', authenticate, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({ error: 'Database unavailable', message: 'Polling state needs the database' });
+  }
+
+  try {
+    const state = await new RecentlyPlayedPoller().getPollState(req.user.id);
+    res.json({ enabled: process.env.RECENTLY_PLAYED_POLLING !== 'false', state });
+  } catch (error) {
+    console.error('Error fetching polling state:', error);
+    res.status(500).json({ error: 'Failed to fetch polling state', message: error.message });
+  }
+});
+
+/**
+ * GET /api/sync/audio-features
+ * Share of the user's play history with audio features, plus the backfill job if one is queued or running
+ */
+router.get('/audio-features', authenticate, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({ error: 'Database unavailable', message: 'Audio feature coverage needs the database' });
+  }
+
+  try {
+    const coverage = await new AudioFeatureBackfill(req.user).getCoverage();
+    const job = await jobQueue.findActive(req.user.id, 'backfill_audio_features');
+    res.json({ coverage, job: job ? serializeJob(job) : null });
+  } catch (error) {
+    console.error('Error fetching audio feature coverage:', error);
+    res.status(500).json({ error: 'Failed to fetch audio feature coverage', message: error.message });
+  }
+});
+
+export default router;
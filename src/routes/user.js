@@ -1,88 +1,19 @@
 import express from 'express';
+import { pipeline } from 'stream/promises';
 import { PrismaClient } from '@prisma/client';
-import { verifyUserToken } from '../utils/tokenManager.js';
 import { SpotifyService } from '../services/spotifyService.js';
+import { AccountService } from '../services/accountService.js';
+import {
+  HistoryImportService,
+  collectHistoryEntries,
+  getImportJob,
+} from '../services/historyImportService.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { isValidTimeZone } from '../utils/timezone.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-/**
- * Middleware to authenticate requests
- */
-async function authenticate(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    // Handle both "Bearer token" and just "token" formats
-    let token;
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    } else {
-      token = authHeader;
-    }
-
-    if (!token || token.trim() === '') {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const decoded = verifyUserToken(token);
-
-    if (!decoded || !decoded.userId) {
-      console.error('Token verification failed:', { 
-        tokenPresent: !!token, 
-        tokenLength: token.length,
-        decoded 
-      });
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Handle database unavailable scenario or temp users
-    if (!prisma || decoded.userId.startsWith('temp_')) {
-      // When database unavailable or temp user, create minimal user from token
-      // For temp users, we need to extract spotifyId from the token or use a placeholder
-      req.user = { 
-        id: decoded.userId,
-        // Try to extract spotifyId from temp user ID format (temp_spotifyId)
-        spotifyId: decoded.userId.startsWith('temp_') ? decoded.userId.replace('temp_', '') : null,
-      };
-      return next();
-    }
-
-    try {
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-      });
-
-      if (!user) {
-        console.warn('User not found in database:', decoded.userId, '- allowing request with minimal user object');
-        // Fallback: allow request to continue with minimal user object
-        req.user = { 
-          id: decoded.userId,
-          spotifyId: null,
-        };
-        return next();
-      }
-
-      req.user = user;
-      next();
-    } catch (dbError) {
-      console.error('Database error in authentication:', dbError);
-      // Fallback: allow request to continue with minimal user object
-      req.user = { 
-        id: decoded.userId,
-        spotifyId: null,
-      };
-      next();
-    }
-  } catch (error) {
-    console.error('Authentication error:', error.message);
-    res.status(401).json({ error: 'Authentication failed', message: error.message });
-  }
-}
-
 /**
  * GET /api/user/me
  * Get current user profile
@@ -111,6 +42,7 @@ router.get('/me', authenticate, async (req, res) => {
           avatarUrl: updatedUser.avatarUrl,
           email: spotifyUser.email,
           followers: spotifyUser.followers?.total || 0,
+          timezone: updatedUser.timezone,
           createdAt: updatedUser.createdAt,
         });
       } catch (dbError) {
@@ -126,6 +58,7 @@ router.get('/me', authenticate, async (req, res) => {
       avatarUrl: spotifyUser.images?.[0]?.url || null,
       email: spotifyUser.email,
       followers: spotifyUser.followers?.total || 0,
+      timezone: req.user.timezone || null,
       createdAt: new Date().toISOString(),
     });
   } catch (error) {
@@ -134,11 +67,170 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/user/me
+ * Update user settings
+ * Body: { timezone } - IANA time zone used for stats, or null to reset to UTC
+ */
+router.patch('/me', authenticate, async (req, res) => {
+  const { timezone } = req.body || {};
+
+  if (timezone === undefined) {
+    return res.status(400).json({ error: 'Nothing to update', message: 'Supported fields: timezone' });
+  }
+  if (timezone !== null && !isValidTimeZone(timezone)) {
+    return res.status(400).json({ error: 'Invalid timezone', message: 'timezone must be an IANA time zone, e.g. Asia/Shanghai' });
+  }
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({
+      error: 'Database unavailable',
+      message: 'Settings can\'t be saved right now, pass ?tz= to stats endpoints instead',
+    });
+  }
+
+  try {
+    const updatedUser = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { timezone },
+    });
+
+    res.json({
+      id: updatedUser.id,
+      spotifyId: updatedUser.spotifyId,
+      displayName: updatedUser.displayName,
+      avatarUrl: updatedUser.avatarUrl,
+      timezone: updatedUser.timezone,
+      createdAt: updatedUser.createdAt,
+    });
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to update user settings', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/user/me
+ * Delete the account: database rows, cached files and stored Spotify tokens.
+ * Every JWT issued to the user stops working. Returns a deletion receipt.
+ */
+router.delete('/me', authenticate, async (req, res) => {
+  try {
+    const accountService = new AccountService(req.user);
+    const receipt = await accountService.deleteAccount();
+    res.json(receipt);
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    if (error.code === 'P1001' || error.message?.includes('connect')) {
+      return res.status(503).json({ error: 'Database unavailable, account was not deleted', message: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete account', message: error.message });
+  }
+});
+
+/**
+ * GET /api/user/export?format=json|csv
+ * Download everything we hold for the user.
+ * json: a single JSON document; csv: a zip with plays.csv, artist_stats.csv and JSON files.
+ * Play history is streamed, so large histories are never loaded into memory at once.
+ */
+router.get('/export', authenticate, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', message: 'format must be json or csv' });
+  }
+
+  try {
+    const accountService = new AccountService(req.user);
+    const { stream, fileName, contentType } = await accountService.exportAccountData(format);
+
+    res.setHeader('Content-Type', contentType);
+    res.attachment(fileName);
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    if (res.headersSent) {
+      // The download is already underway; pipeline has aborted the response
+      return;
+    }
+    if (error.code === 'P1001' || error.message?.includes('connect')) {
+      return res.status(503).json({ error: 'Database unavailable, try again later', message: error.message });
+    }
+    res.status(500).json({ error: 'Failed to export account data', message: error.message });
+  }
+});
+
+/**
+ * POST /api/user/history/import
+ * Import Spotify "Extended Streaming History" files (Streaming_History_Audio_*.json).
+ * Body: one file's JSON array, or { files: [array, ...] }. Runs as a history_import job on the job queue.
+ */
+router.post('/history/import', authenticate, async (req, res) => {
+  if (req.user.id.startsWith('temp_')) {
+    return res.status(503).json({
+      error: 'Database unavailable',
+      message: 'History import needs the database, please log in again later',
+    });
+  }
+
+  const entries = collectHistoryEntries(req.body);
+  if (!entries || entries.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid history file',
+      message: 'Send the contents of a Streaming_History_Audio_*.json file, or { files: [...] }',
+    });
+  }
+
+  try {
+    const importService = new HistoryImportService(req.user);
+
+    const { job, created } = await importService.startImport(entries);
+    if (!created) {
+      return res.status(409).json({ error: 'An import is already running', ...job });
+    }
+    res.status(202).json({ ...job, statusUrl: `/api/user/history/import/${job.jobId}` });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Invalid history file', message: error.message });
+    }
+    console.error('Error starting history import:', error);
+    res.status(500).json({ error: 'Failed to start history import', message: error.message });
+  }
+});
+
+/**
+ * GET /api/user/history/import/:jobId
+ * Progress of a history import
+ */
+router.get('/history/import/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = await getImportJob(req.user.id, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching history import:', error);
+    res.status(500).json({ error: 'Failed to fetch history import', message: error.message });
+  }
+});
+
 /**
  * GET /api/user/status
  * Check if user is connected and token is valid
  */
 router.get('/status', authenticate, async (req, res) => {
+  if (req.user.spotifyDisconnectedAt) {
+    return res.json({
+      connected: false,
+      reason: 'spotify_disconnected',
+      disconnectedAt: req.user.spotifyDisconnectedAt,
+      error: 'Spotify access was revoked, please log in again',
+    });
+  }
+
   try {
     const spotifyService = new SpotifyService(req.user);
     await spotifyService.getCurrentUser(); // This will auto-refresh token if needed
@@ -150,6 +242,7 @@ router.get('/status', authenticate, async (req, res) => {
   } catch (error) {
     res.json({
       connected: false,
+      ...(error.code === 'spotify_disconnected' && { reason: error.code }),
       error: error.message,
     });
   }
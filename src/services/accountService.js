@@ -0,0 +1,357 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import archiver from 'archiver';
+import { PrismaClient } from '@prisma/client';
+import { localCache } from '../utils/dbFallback.js';
+import { revokeAllUserTokens } from '../utils/sessionManager.js';
+
+const prisma = new PrismaClient();
+
+// Spotify has no token revocation endpoint; users remove app access here
+const SPOTIFY_MANAGE_APPS_URL = 'https://www.spotify.com/account/apps/';
+
+// Rows read per query when streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+// Cache entries holding credentials or session state are never exported
+const PRIVATE_CACHE_TYPES = new Set(['tokens', 'sessions', 'revocation']);
+
+const USER_EXPORT_FIELDS = ['id', 'spotifyId', 'displayName', 'avatarUrl', 'timezone', 'createdAt', 'updatedAt'];
+
+const PLAY_COLUMNS = [
+  'playedAt', 'trackId', 'name', 'artist', 'duration', 'popularity',
+  'danceability', 'energy', 'valence', 'tempo', 'imageUrl',
+  'msPlayed', 'skipped', 'shuffle', 'source',
+];
+
+const ARTIST_COLUMNS = [
+  'artistId', 'name', 'genres', 'playCount', 'firstPlayedAt', 'lastPlayedAt', 'imageUrl', 'createdAt', 'updatedAt',
+];
+
+const TOP_TRACK_COLUMNS = ['capturedOn', 'timeRange', 'rank', 'trackId', 'name', 'artist', 'imageUrl'];
+
+const TOP_ARTIST_COLUMNS = ['capturedOn', 'timeRange', 'rank', 'artistId', 'name', 'imageUrl'];
+
+// Payloads are left out: they repeat request input (a history import carries the whole file)
+const JOB_COLUMNS = [
+  'type', 'status', 'attempts', 'maxAttempts', 'runAt', 'progress', 'result', 'error',
+  'createdAt', 'startedAt', 'finishedAt',
+];
+
+const TOKEN_REFRESH_COLUMNS = ['createdAt', 'outcome', 'rotated', 'forced', 'error'];
+
+// RefreshToken ids are the refresh token's jti, so sessions are exported without them
+const SESSION_COLUMNS = ['familyId', 'createdAt', 'expiresAt', 'rotatedAt', 'revokedAt'];
+
+/**
+ * Build a Prisma select object from a list of field names
+ */
+function selectFields(fields) {
+  return Object.fromEntries(['id', ...fields].map(field => [field, true]));
+}
+
+/**
+ * Stream rows of a model in batches using cursor pagination
+ * Keeps memory flat regardless of how large the user's history is
+ */
+async function* iterateRows(model, { where, select, orderBy }) {
+  let cursor;
+
+  while (true) {
+    const rows = await model.findMany({
+      where,
+      select,
+      orderBy: [...orderBy, { id: 'asc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    yield* rows;
+
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+async function* noRows() {}
+
+/**
+ * Drop the id that iterateRows needs for its cursor but that shouldn't leave the server
+ */
+async function* withoutIds(rows) {
+  for await (const { id, ...row } of rows) {
+    yield row;
+  }
+}
+
+/**
+ * Format a single CSV field (RFC 4180 quoting)
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    value = JSON.stringify(value);
+  }
+
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream rows as CSV lines, header first
+ */
+async function* csvLines(rows, columns) {
+  yield `${columns.join(',')}\n`;
+  for await (const row of rows) {
+    yield `${columns.map(column => toCsvValue(row[column])).join(',')}\n`;
+  }
+}
+
+/**
+ * Stream a JSON document: plain fields first, then each row stream as an array
+ */
+async function* jsonDocument(fields, arrays) {
+  yield JSON.stringify(fields).slice(0, -1);
+
+  for (const [key, rows] of Object.entries(arrays)) {
+    yield `,${JSON.stringify(key)}:[`;
+    let first = true;
+    for await (const row of rows) {
+      yield `${first ? '' : ','}${JSON.stringify(row)}`;
+      first = false;
+    }
+    yield ']';
+  }
+
+  yield '}\n';
+}
+
+/**
+ * Account Service
+ * User-initiated account management: deletion and data export
+ */
+export class AccountService {
+  constructor(user) {
+    this.user = user;
+  }
+
+  /**
+   * User ids whose local cache files belong to this account
+   * A database user may also have files under temp_<spotifyId> from a login while the database was down
+   */
+  getCacheUserIds() {
+    const ids = new Set([this.user.id]);
+    if (this.user.spotifyId) {
+      ids.add(`temp_${this.user.spotifyId}`);
+    }
+    return [...ids];
+  }
+
+  /**
+   * Delete every local cache file for this account
+   * The token revocation marker is kept so revoked JWTs stay rejected
+   * @returns {number} Number of files removed
+   */
+  async purgeLocalCache() {
+    let removed = 0;
+
+    for (const cacheUserId of this.getCacheUserIds()) {
+      const files = await localCache.listUserCaches(cacheUserId);
+      for (const file of files) {
+        const dataType = file.replace(`${cacheUserId}_`, '').replace('.json', '');
+        if (dataType === 'revocation') {
+          continue;
+        }
+        await localCache.delete(cacheUserId, dataType);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete the account and all data we hold for it
+   * Removes database rows (TrackStat, ArtistStat and MusicProfile explicitly for the
+   * receipt counts, the rest through User cascades), local cache files including stored
+   * Spotify tokens, and invalidates every JWT issued to the user.
+   * @returns {Object} Deletion receipt
+   */
+  async deleteAccount() {
+    const userId = this.user.id;
+    const removed = {
+      trackStats: 0,
+      artistStats: 0,
+      musicProfile: false,
+      cacheFiles: 0,
+      sessions: 0,
+    };
+
+    if (!userId.startsWith('temp_')) {
+      const existing = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+
+      if (existing) {
+        const [tracks, artists, profiles] = await prisma.$transaction([
+          prisma.trackStat.deleteMany({ where: { userId } }),
+          prisma.artistStat.deleteMany({ where: { userId } }),
+          prisma.musicProfile.deleteMany({ where: { userId } }),
+          prisma.user.delete({ where: { id: userId } }),
+        ]);
+
+        removed.trackStats = tracks.count;
+        removed.artistStats = artists.count;
+        removed.musicProfile = profiles.count > 0;
+      }
+    }
+
+    removed.sessions = await revokeAllUserTokens(userId);
+    removed.cacheFiles = await this.purgeLocalCache();
+
+    const receipt = {
+      deleted: true,
+      receiptId: crypto.randomUUID(),
+      userId,
+      spotifyId: this.user.spotifyId || null,
+      deletedAt: new Date().toISOString(),
+      removed,
+      spotify: {
+        disconnected: true,
+        manageAccessUrl: SPOTIFY_MANAGE_APPS_URL,
+      },
+    };
+
+    console.log(`Deleted account ${userId}:`, { receiptId: receipt.receiptId, ...removed });
+    return receipt;
+  }
+
+  /**
+   * Cached files for this account, without credentials and session state
+   */
+  async loadExportableCache() {
+    const cache = {};
+
+    for (const cacheUserId of this.getCacheUserIds()) {
+      const entries = await localCache.loadAll(cacheUserId);
+      for (const [dataType, data] of Object.entries(entries)) {
+        if (!PRIVATE_CACHE_TYPES.has(dataType)) {
+          cache[dataType] = data;
+        }
+      }
+    }
+
+    return cache;
+  }
+
+  /**
+   * Export everything we hold for the account
+   * Profile, MusicProfile, PollState and cached files are loaded up front (so database errors
+   * surface before the response starts); every other table is streamed in batches.
+   * Covers each user-owned table that deleteAccount removes; tokens and token ids are left out.
+   * @param {'json'|'csv'} format - json: a single JSON document; csv: a zip of CSV and JSON files
+   * @returns {Object} { stream, fileName, contentType }
+   */
+  async exportAccountData(format = 'json') {
+    const userId = this.user.id;
+    const exportedAt = new Date().toISOString();
+    const isTempUser = userId.startsWith('temp_');
+
+    let user = { id: userId, spotifyId: this.user.spotifyId || null };
+    let musicProfile = null;
+    let pollState = null;
+
+    if (!isTempUser) {
+      const [dbUser, dbProfile, dbPollState] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId }, select: selectFields(USER_EXPORT_FIELDS) }),
+        prisma.musicProfile.findUnique({ where: { userId } }),
+        prisma.pollState.findUnique({ where: { userId } }),
+      ]);
+      user = dbUser || user;
+      musicProfile = dbProfile;
+      pollState = dbPollState;
+    }
+
+    const cache = await this.loadExportableCache();
+
+    const plays = () => (isTempUser ? noRows() : iterateRows(prisma.trackStat, {
+      where: { userId },
+      select: selectFields(PLAY_COLUMNS),
+      orderBy: [{ playedAt: 'asc' }],
+    }));
+    const artistStats = () => (isTempUser ? noRows() : iterateRows(prisma.artistStat, {
+      where: { userId },
+      select: selectFields(ARTIST_COLUMNS),
+      orderBy: [{ name: 'asc' }],
+    }));
+    const topTracks = () => (isTempUser ? noRows() : iterateRows(prisma.topTrackSnapshot, {
+      where: { userId },
+      select: selectFields(TOP_TRACK_COLUMNS),
+      orderBy: [{ capturedOn: 'asc' }, { timeRange: 'asc' }, { rank: 'asc' }],
+    }));
+    const topArtists = () => (isTempUser ? noRows() : iterateRows(prisma.topArtistSnapshot, {
+      where: { userId },
+      select: selectFields(TOP_ARTIST_COLUMNS),
+      orderBy: [{ capturedOn: 'asc' }, { timeRange: 'asc' }, { rank: 'asc' }],
+    }));
+    const jobs = () => (isTempUser ? noRows() : iterateRows(prisma.job, {
+      where: { userId },
+      select: selectFields(JOB_COLUMNS),
+      orderBy: [{ createdAt: 'asc' }],
+    }));
+    const tokenRefreshes = () => (isTempUser ? noRows() : iterateRows(prisma.tokenRefreshEvent, {
+      where: { userId },
+      select: selectFields(TOKEN_REFRESH_COLUMNS),
+      orderBy: [{ createdAt: 'asc' }],
+    }));
+    const sessions = () => (isTempUser ? noRows() : withoutIds(iterateRows(prisma.refreshToken, {
+      where: { userId },
+      select: selectFields(SESSION_COLUMNS),
+      orderBy: [{ createdAt: 'asc' }],
+    })));
+
+    const baseName = `musight-export-${exportedAt.slice(0, 10)}`;
+    console.log(`Exporting account data for ${userId} as ${format}`);
+
+    if (format === 'csv') {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      archive.append(JSON.stringify({ exportedAt, user }, null, 2), { name: 'profile.json' });
+      archive.append(JSON.stringify(musicProfile, null, 2), { name: 'music_profile.json' });
+      archive.append(JSON.stringify(pollState, null, 2), { name: 'poll_state.json' });
+      archive.append(Readable.from(csvLines(plays(), PLAY_COLUMNS)), { name: 'plays.csv' });
+      archive.append(Readable.from(csvLines(artistStats(), ARTIST_COLUMNS)), { name: 'artist_stats.csv' });
+      archive.append(Readable.from(csvLines(topTracks(), TOP_TRACK_COLUMNS)), { name: 'top_track_snapshots.csv' });
+      archive.append(Readable.from(csvLines(topArtists(), TOP_ARTIST_COLUMNS)), { name: 'top_artist_snapshots.csv' });
+      archive.append(Readable.from(csvLines(jobs(), JOB_COLUMNS)), { name: 'jobs.csv' });
+      archive.append(Readable.from(csvLines(tokenRefreshes(), TOKEN_REFRESH_COLUMNS)), { name: 'token_refresh_events.csv' });
+      archive.append(Readable.from(csvLines(sessions(), SESSION_COLUMNS)), { name: 'sessions.csv' });
+      for (const [dataType, data] of Object.entries(cache)) {
+        archive.append(JSON.stringify(data, null, 2), { name: `cache/${dataType}.json` });
+      }
+      // Errors are emitted on the archive stream itself
+      archive.finalize().catch(() => {});
+
+      return { stream: archive, fileName: `${baseName}.zip`, contentType: 'application/zip' };
+    }
+
+    const document = jsonDocument(
+      { exportedAt, user, musicProfile, pollState, cache },
+      {
+        artistStats: artistStats(),
+        topTrackSnapshots: topTracks(),
+        topArtistSnapshots: topArtists(),
+        jobs: jobs(),
+        tokenRefreshEvents: tokenRefreshes(),
+        sessions: sessions(),
+        plays: plays(),
+      }
+    );
+
+    return { stream: Readable.from(document), fileName: `${baseName}.json`, contentType: 'application/json' };
+  }
+}
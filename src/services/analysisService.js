@@ -1,51 +1,79 @@
-import { PrismaClient } from '@prisma/client';
-import { SpotifyService } from './spotifyService.js';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { SpotifyService, mapSpotifyTrack } from './spotifyService.js';
+import { CatalogService } from './catalogService.js';
+import { ChartService, TOP_TIME_RANGES } from './chartService.js';
+import { inferPlayDurations, getPlayedMs } from '../utils/playDuration.js';
+import { DEFAULT_TIME_ZONE, getTimeRangeStart, getZonedParts } from '../utils/timezone.js';
 
 const prisma = new PrismaClient();
 
+// Spotify's recently-played endpoint returns at most 50 plays per request
+export const RECENTLY_PLAYED_LIMIT = 50;
+
 /**
  * Analysis Service
  * Provides music listening analytics and insights
  */
 export class AnalysisService {
-  constructor(user) {
+  /**
+   * @param {Object} user
+   * @param {Object} options - { priority } passed to SpotifyService (rate limiter lane)
+   */
+  constructor(user, { priority = 'interactive' } = {}) {
     this.user = user;
-    this.spotifyService = new SpotifyService(user);
+    this.spotifyService = new SpotifyService(user, { priority });
+    this.catalogService = new CatalogService();
+    this.chartService = new ChartService(user);
+  }
+
+  /**
+   * Update the shared catalog without failing the sync that triggered it
+   */
+  async updateCatalog(operation) {
+    try {
+      return await operation(this.catalogService);
+    } catch (error) {
+      console.warn('Could not update the track catalog:', error.message);
+      return 0;
+    }
   }
 
   /**
    * Sync recently played tracks from Spotify
+   * Fetches plays after the stored poll cursor (falling back to the newest stored play) and
+   * advances the cursor to the newest play returned.
+   * @returns {Object} { synced, total, after (cursor used, or null), oldestPlayedAt, newestPlayedAt }
    */
   async syncRecentlyPlayed() {
     try {
       // Get the last sync time (most recent track's playedAt)
-      const lastTrack = await prisma.trackStat.findFirst({
-        where: { userId: this.user.id },
-        orderBy: { playedAt: 'desc' },
-      });
+      const [lastTrack, pollState] = await Promise.all([
+        prisma.trackStat.findFirst({
+          where: { userId: this.user.id },
+          orderBy: { playedAt: 'desc' },
+        }),
+        prisma.pollState.findUnique({ where: { userId: this.user.id } }),
+      ]);
 
-      const after = lastTrack ? lastTrack.playedAt.getTime() : null;
+      const cursor = pollState?.cursor || (lastTrack ? lastTrack.playedAt : null);
+      const after = cursor ? cursor.getTime() : null;
       // Use a promise with timeout to ensure the call doesn't hang
       const tracks = await Promise.race([
-        this.spotifyService.getRecentlyPlayed(50, after),
+        this.spotifyService.getRecentlyPlayed(RECENTLY_PLAYED_LIMIT, after),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Timeout fetching recently played tracks')), 25000)
         )
       ]);
 
-      // Save new tracks
+      await this.updateCatalog(catalog => catalog.upsertTracks(tracks));
+
+      // Listened time comes from the gap to the previous play
+      const durations = inferPlayDurations(tracks, lastTrack ? lastTrack.playedAt : null);
+
+      // Save new tracks; only rows inserted here count towards artist plays
       const savedTracks = [];
       for (const track of tracks) {
-        // Skip if already exists
-        const existing = await prisma.trackStat.findFirst({
-          where: {
-            userId: this.user.id,
-            trackId: track.trackId,
-            playedAt: track.playedAt,
-          },
-        });
-
-        if (!existing) {
+        try {
           const saved = await prisma.trackStat.create({
             data: {
               userId: this.user.id,
@@ -56,15 +84,43 @@ export class AnalysisService {
               playedAt: track.playedAt,
               duration: track.duration,
               popularity: track.popularity,
+              msPlayed: durations.get(track).msPlayed,
+              skipped: durations.get(track).skipped,
             },
           });
           savedTracks.push(saved);
+        } catch (error) {
+          // Already stored, possibly by a concurrent poll or sync of the same user
+          if (error.code !== 'P2002') {
+            throw error;
+          }
         }
       }
 
+      if (savedTracks.length > 0) {
+        await this.addArtistPlays(savedTracks).catch(error => {
+          console.warn('Could not refresh artist play counts:', error.message);
+        });
+      }
+
+      const playedAt = tracks.map(track => new Date(track.playedAt).getTime());
+      const newestPlayedAt = playedAt.length > 0 ? new Date(Math.max(...playedAt)) : null;
+      const oldestPlayedAt = playedAt.length > 0 ? new Date(Math.min(...playedAt)) : null;
+
+      if (newestPlayedAt && (!cursor || newestPlayedAt > cursor)) {
+        await prisma.pollState.upsert({
+          where: { userId: this.user.id },
+          create: { userId: this.user.id, cursor: newestPlayedAt },
+          update: { cursor: newestPlayedAt },
+        });
+      }
+
       return {
         synced: savedTracks.length,
         total: tracks.length,
+        after: cursor,
+        oldestPlayedAt,
+        newestPlayedAt,
       };
     } catch (error) {
       console.error('Error syncing recently played:', error);
@@ -73,8 +129,8 @@ export class AnalysisService {
   }
 
   /**
-   * Sync top artists from Spotify
-   * Uses upsert to accumulate playCount instead of replacing
+   * Sync top artists from Spotify and snapshot their ranking
+   * Stores artist metadata only; play counts come from real plays (addArtistPlays)
    */
   async syncTopArtists(timeRange = 'medium_term', limit = 50) {
     try {
@@ -86,9 +142,11 @@ export class AnalysisService {
         )
       ]);
 
+      await this.updateCatalog(catalog => catalog.upsertArtists(topArtists));
+      await this.chartService.saveTopArtistsSnapshot(timeRange, topArtists);
+
       const savedArtists = [];
       for (const artist of topArtists) {
-        // Upsert: if exists, increment playCount; if not, create with playCount = 1
         const saved = await prisma.artistStat.upsert({
           where: {
             userId_artistId: {
@@ -102,15 +160,11 @@ export class AnalysisService {
             name: artist.name,
             genres: artist.genres || [],
             imageUrl: artist.imageUrl,
-            playCount: 1,
           },
           update: {
             name: artist.name,
             genres: artist.genres || [],
             imageUrl: artist.imageUrl,
-            playCount: {
-              increment: 1,
-            },
           },
         });
         savedArtists.push(saved);
@@ -126,7 +180,117 @@ export class AnalysisService {
   }
 
   /**
-   * Sync top tracks from Spotify and cache audio features
+   * Count newly stored plays towards ArtistStat play counts and first/last played dates
+   * Every credited artist of a track gets the play (artists resolved through TrackArtist), so
+   * the tracks must be in the catalog first; see resolveTrackArtists for imported plays.
+   * @param {Object[]} plays - [{ trackId, playedAt }] that were just inserted into TrackStat
+   */
+  async addArtistPlays(plays) {
+    if (plays.length === 0) {
+      return { artists: 0 };
+    }
+
+    const trackIds = plays.map(play => play.trackId);
+    // playedAt is stored as UTC without a zone; the cast drops the Z
+    const playedAt = plays.map(play => new Date(play.playedAt).toISOString());
+
+    const updated = await prisma.$executeRaw`
+      INSERT INTO "ArtistStat" (
+        "id", "userId", "artistId", "name", "genres", "imageUrl",
+        "playCount", "firstPlayedAt", "lastPlayedAt", "createdAt", "updatedAt"
+      )
+      SELECT
+        gen_random_uuid()::text, ${this.user.id}, a."id", a."name", a."genres", a."imageUrl",
+        plays."count", plays."first", plays."last", now(), now()
+      FROM (
+        SELECT ta."artistId", COUNT(*)::int AS "count", MIN(p."playedAt") AS "first", MAX(p."playedAt") AS "last"
+        FROM unnest(${trackIds}::text[], ${playedAt}::timestamp(3)[]) AS p("trackId", "playedAt")
+        JOIN "TrackArtist" ta ON ta."trackId" = p."trackId"
+        GROUP BY ta."artistId"
+      ) plays
+      JOIN "Artist" a ON a."id" = plays."artistId"
+      ON CONFLICT ("userId", "artistId") DO UPDATE SET
+        "playCount" = "ArtistStat"."playCount" + EXCLUDED."playCount",
+        "firstPlayedAt" = LEAST("ArtistStat"."firstPlayedAt", EXCLUDED."firstPlayedAt"),
+        "lastPlayedAt" = GREATEST("ArtistStat"."lastPlayedAt", EXCLUDED."lastPlayedAt"),
+        "updatedAt" = now()
+    `;
+
+    return { artists: updated };
+  }
+
+  /**
+   * Look up album and credited artists for catalog tracks that have none yet
+   * History imports only carry track names, so their plays can't be attributed to artists
+   * until the track is resolved.
+   * @param {string[]} trackIds
+   * @returns {number} Number of tracks resolved
+   */
+  async resolveTrackArtists(trackIds) {
+    const unresolved = await prisma.track.findMany({
+      where: { id: { in: [...new Set(trackIds)] }, artists: { none: {} } },
+      select: { id: true },
+    });
+    if (unresolved.length === 0) {
+      return 0;
+    }
+
+    const results = await this.spotifyService.getTracks(unresolved.map(track => track.id));
+    const tracks = results.filter(result => result.data).map(result => mapSpotifyTrack(result.data));
+    return this.catalogService.upsertTracks(tracks);
+  }
+
+  /**
+   * Recompute ArtistStat play counts and first/last played dates from all TrackStat plays
+   * Syncs update counts incrementally (addArtistPlays); this full pass runs after history
+   * imports and for maintenance after plays are deleted or tracks are resolved outside a sync (scripts).
+   */
+  async refreshArtistPlayStats() {
+    const userId = this.user.id;
+
+    const [updated] = await prisma.$transaction([
+      prisma.$executeRaw`
+        INSERT INTO "ArtistStat" (
+          "id", "userId", "artistId", "name", "genres", "imageUrl",
+          "playCount", "firstPlayedAt", "lastPlayedAt", "createdAt", "updatedAt"
+        )
+        SELECT
+          gen_random_uuid()::text, ${userId}, a."id", a."name", a."genres", a."imageUrl",
+          plays."count", plays."first", plays."last", now(), now()
+        FROM (
+          SELECT ta."artistId", COUNT(*)::int AS "count", MIN(p."playedAt") AS "first", MAX(p."playedAt") AS "last"
+          FROM "TrackStat" p
+          JOIN "TrackArtist" ta ON ta."trackId" = p."trackId"
+          WHERE p."userId" = ${userId}
+          GROUP BY ta."artistId"
+        ) plays
+        JOIN "Artist" a ON a."id" = plays."artistId"
+        ON CONFLICT ("userId", "artistId") DO UPDATE SET
+          "playCount" = EXCLUDED."playCount",
+          "firstPlayedAt" = EXCLUDED."firstPlayedAt",
+          "lastPlayedAt" = EXCLUDED."lastPlayedAt",
+          "updatedAt" = now()
+      `,
+      // Artists only known from top lists have no plays
+      prisma.$executeRaw`
+        UPDATE "ArtistStat" s
+        SET "playCount" = 0, "firstPlayedAt" = NULL, "lastPlayedAt" = NULL, "updatedAt" = now()
+        WHERE s."userId" = ${userId}
+          AND s."playCount" <> 0
+          AND NOT EXISTS (
+            SELECT 1
+            FROM "TrackStat" p
+            JOIN "TrackArtist" ta ON ta."trackId" = p."trackId"
+            WHERE p."userId" = s."userId" AND ta."artistId" = s."artistId"
+          )
+      `,
+    ]);
+
+    return { artists: updated };
+  }
+
+  /**
+   * Sync top tracks from Spotify as a ranked snapshot and cache audio features
    * @param {string} timeRange - 'short_term', 'medium_term', 'long_term'
    * @param {number} limit - Number of tracks to fetch (max 50)
    */
@@ -141,62 +305,12 @@ export class AnalysisService {
       ]);
 
       const trackIds = topTracks.map(t => t.trackId);
-      const tracksMap = new Map(topTracks.map(t => [t.trackId, t]));
 
-      // Update existing TrackStat records or create new ones for top tracks
-      // We use a fixed "top tracks" timestamp to avoid duplicate entries
-      const topTracksTimestamp = new Date('2000-01-01'); // Fixed date for top tracks
-      const savedTracks = [];
-      
-      for (const track of topTracks) {
-        // Check if track exists in TrackStat (from recently-played or previous sync)
-        const existing = await prisma.trackStat.findFirst({
-          where: {
-            userId: this.user.id,
-            trackId: track.trackId,
-          },
-          orderBy: { playedAt: 'desc' },
-        });
+      // Latest metadata goes to the shared catalog instead of every stored play
+      await this.updateCatalog(catalog => catalog.upsertTracks(topTracks));
 
-        if (existing) {
-          // Update existing record with latest info
-          await prisma.trackStat.updateMany({
-            where: {
-              userId: this.user.id,
-              trackId: track.trackId,
-            },
-            data: {
-              name: track.name,
-              artist: track.artist,
-              imageUrl: track.imageUrl || existing.imageUrl,
-              duration: track.duration || existing.duration,
-              popularity: track.popularity || existing.popularity,
-            },
-          });
-        } else {
-          // Create new record for top track (if it doesn't exist from recently-played)
-          try {
-            const saved = await prisma.trackStat.create({
-              data: {
-                userId: this.user.id,
-                trackId: track.trackId,
-                name: track.name,
-                artist: track.artist,
-                imageUrl: track.imageUrl,
-                playedAt: topTracksTimestamp, // Use fixed timestamp
-                duration: track.duration,
-                popularity: track.popularity,
-              },
-            });
-            savedTracks.push(saved);
-          } catch (error) {
-            // Ignore unique constraint violations
-            if (!error.code || error.code !== 'P2002') {
-              throw error;
-            }
-          }
-        }
-      }
+      // Top lists are rankings, not plays: keep them out of TrackStat so they never count as listens
+      const snapshotCount = await this.chartService.saveTopTracksSnapshot(timeRange, topTracks);
 
       // Fetch audio features in batches (max 100 per request)
       const audioFeaturesMap = new Map();
@@ -228,33 +342,13 @@ export class AnalysisService {
         }
       }
 
-      // Update tracks with audio features
-      let updatedCount = 0;
-      for (const trackId of trackIds) {
-        const features = audioFeaturesMap.get(trackId);
-        if (features) {
-          try {
-            await prisma.trackStat.updateMany({
-              where: {
-                userId: this.user.id,
-                trackId: trackId,
-              },
-              data: {
-                danceability: features.danceability || null,
-                energy: features.energy || null,
-                valence: features.valence || null,
-                tempo: features.tempo || null,
-              },
-            });
-            updatedCount++;
-          } catch (error) {
-            console.error(`Error updating audio features for track ${trackId}:`, error.message);
-          }
-        }
-      }
+      // Audio features are a property of the track, store them once in the catalog
+      const updatedCount = await this.updateCatalog(catalog =>
+        catalog.updateAudioFeatures([...audioFeaturesMap.values()])
+      );
 
       return {
-        synced: savedTracks.length,
+        synced: snapshotCount,
         total: topTracks.length,
         audioFeaturesUpdated: updatedCount,
       };
@@ -264,34 +358,81 @@ export class AnalysisService {
     }
   }
 
+  /**
+   * Snapshot Spotify's top tracks and artists for the given time ranges
+   * A range that fails is logged and skipped so the others still get captured.
+   * @param {string[]} timeRanges - 'short_term', 'medium_term', 'long_term'
+   * @returns {Object} Per range: { tracks, artists } entry counts, or { error }
+   */
+  async snapshotTopCharts(timeRanges = TOP_TIME_RANGES, limit = 50) {
+    const results = {};
+
+    for (const timeRange of timeRanges) {
+      try {
+        const tracks = await this.getTopTracksFromSpotify(timeRange, limit);
+        const artists = await this.getTopArtistsFromSpotify(timeRange, limit);
+
+        results[timeRange] = {
+          tracks: await this.chartService.saveTopTracksSnapshot(timeRange, tracks),
+          artists: await this.chartService.saveTopArtistsSnapshot(timeRange, artists),
+        };
+      } catch (error) {
+        console.warn(`Could not snapshot ${timeRange} top charts:`, error.message);
+        results[timeRange] = { error: error.message };
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Comprehensive sync function that syncs all user playback data
    * Syncs recently-played, top tracks, top artists, and builds music profile
    * @param {string} timeRange - 'short_term', 'medium_term', 'long_term' for top data
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { step, completedSteps, totalSteps } as each step finishes
    */
-  async syncUserPlayback(timeRange = 'medium_term') {
+  async syncUserPlayback(timeRange = 'medium_term', { onProgress } = {}) {
+    const totalSteps = 5;
+    let completedSteps = 0;
+    const stepDone = async step => {
+      completedSteps++;
+      if (onProgress) {
+        await onProgress({ step, completedSteps, totalSteps });
+      }
+    };
+
     try {
       console.log(`Starting sync for user ${this.user.id}...`);
 
       // 1. Sync recently played tracks
       const recentResult = await this.syncRecentlyPlayed();
       console.log(`Synced ${recentResult.synced} new recently-played tracks`);
+      await stepDone('recently_played');
 
       // 2. Sync top tracks and cache audio features
       const tracksResult = await this.syncTopTracks(timeRange, 50);
       console.log(`Synced ${tracksResult.synced} top tracks, updated ${tracksResult.audioFeaturesUpdated} audio features`);
+      await stepDone('top_tracks');
 
       // 3. Sync top artists
       const artistsResult = await this.syncTopArtists(timeRange, 50);
       console.log(`Synced ${artistsResult.synced} top artists`);
+      await stepDone('top_artists');
 
-      // 4. Build music profile
+      // 4. Snapshot the other top-list ranges so chart history covers all three
+      const charts = await this.snapshotTopCharts(TOP_TIME_RANGES.filter(range => range !== timeRange));
+      await stepDone('top_charts');
+
+      // 5. Build music profile
       await this.buildMusicProfile();
+      await stepDone('music_profile');
 
       return {
         recent: recentResult,
         tracks: tracksResult,
         artists: artistsResult,
+        charts,
       };
     } catch (error) {
       console.error('Error in syncUserPlayback:', error);
@@ -301,29 +442,15 @@ export class AnalysisService {
 
   /**
    * Get listening statistics
+   * @param {string} timeRange - '24h', '7d', '30d', 'all'
+   * @param {Object} options
+   * @param {boolean} options.excludeSkips - Leave skipped plays out of totals and top lists
+   * @param {string} options.timeZone - IANA time zone for windows and activity buckets
    */
-  async getListeningStats(timeRange = '7d') {
-    const now = new Date();
-    let startDate;
-
-    switch (timeRange) {
-      case '24h':
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case 'all':
-        startDate = new Date(0);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    }
+  async getListeningStats(timeRange = '7d', { excludeSkips = false, timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const startDate = getTimeRangeStart(timeRange, timeZone) || getTimeRangeStart('7d', timeZone);
 
-    const tracks = await prisma.trackStat.findMany({
+    const allTracks = await prisma.trackStat.findMany({
       where: {
         userId: this.user.id,
         playedAt: { gte: startDate },
@@ -331,8 +458,11 @@ export class AnalysisService {
       orderBy: { playedAt: 'desc' },
     });
 
-    // Calculate total listening time
-    const totalMs = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
+    const skippedPlays = allTracks.filter(track => track.skipped).length;
+    const tracks = excludeSkips ? allTracks.filter(track => !track.skipped) : allTracks;
+
+    // Calculate total listening time from what was actually listened to
+    const totalMs = tracks.reduce((sum, track) => sum + getPlayedMs(track), 0);
     const totalMinutes = Math.floor(totalMs / 60000);
     const totalHours = Math.floor(totalMinutes / 60);
 
@@ -373,16 +503,29 @@ export class AnalysisService {
       .sort((a, b) => b.count - a.count)
       .slice(0, 10);
 
-    // Listening activity by hour
+    // Listening activity by local hour, weekday (0 = Sunday) and calendar day
     const hourlyActivity = new Array(24).fill(0);
+    const weekdayActivity = new Array(7).fill(0);
+    const dailyCounts = {};
     tracks.forEach(track => {
-      const hour = track.playedAt.getHours();
+      const { hour, weekday, date } = getZonedParts(track.playedAt, timeZone);
       hourlyActivity[hour]++;
+      weekdayActivity[weekday]++;
+      if (!dailyCounts[date]) {
+        dailyCounts[date] = { date, count: 0, totalMs: 0 };
+      }
+      dailyCounts[date].count++;
+      dailyCounts[date].totalMs += getPlayedMs(track);
     });
 
+    const dailyActivity = Object.values(dailyCounts).sort((a, b) => a.date.localeCompare(b.date));
+
     return {
       timeRange,
+      timeZone,
+      excludeSkips,
       totalTracks: tracks.length,
+      skippedPlays,
       uniqueTracks,
       uniqueArtists,
       totalListeningTime: {
@@ -393,11 +536,160 @@ export class AnalysisService {
       topTracks,
       topArtists,
       hourlyActivity,
+      weekdayActivity,
+      dailyActivity,
       firstTrack: tracks[tracks.length - 1] || null,
       lastTrack: tracks[0] || null,
     };
   }
 
+  /**
+   * Day-of-week x hour listening heatmap, aggregated in SQL
+   * Artist and genre filters match any credited artist through the TrackArtist catalog join
+   * (TrackStat.artist is a display string; names like "Tyler, The Creator" contain the separator).
+   * Genres come from the catalog Artist and the user's ArtistStat rows. Plays of tracks whose
+   * artists aren't in the catalog yet don't match any filter.
+   * @param {Object} options
+   * @param {string} options.timeRange - '24h', '7d', '30d', 'all'
+   * @param {string} options.timeZone - IANA time zone for the buckets
+   * @param {string} options.artistId - Only plays credited to this Spotify artist id
+   * @param {string} options.artist - Only plays credited to an artist with this name (case-insensitive)
+   * @param {string} options.genre - Only plays by artists tagged with this genre
+   * @param {boolean} options.excludeSkips - Leave skipped plays out
+   * @returns {Object} 7x24 matrices of plays and minutes (rows: 0 = Sunday)
+   */
+  async getHeatmap({
+    timeRange = 'all',
+    timeZone = DEFAULT_TIME_ZONE,
+    artistId = null,
+    artist = null,
+    genre = null,
+    excludeSkips = false,
+  } = {}) {
+    const startDate = getTimeRangeStart(timeRange, timeZone) || new Date(0);
+
+    // playedAt is stored as UTC without a zone, convert to the user's wall clock
+    const localTime = Prisma.sql`(t."playedAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}`;
+
+    const filters = [
+      Prisma.sql`t."userId" = ${this.user.id}`,
+      Prisma.sql`t."playedAt" >= ${startDate}`,
+    ];
+    if (excludeSkips) {
+      filters.push(Prisma.sql`t."skipped" IS NOT TRUE`);
+    }
+    if (artistId) {
+      filters.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "TrackArtist" ta
+        WHERE ta."trackId" = t."trackId" AND ta."artistId" = ${artistId}
+      )`);
+    }
+    if (artist) {
+      filters.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "TrackArtist" ta
+        JOIN "Artist" ar ON ar."id" = ta."artistId"
+        WHERE ta."trackId" = t."trackId" AND lower(ar."name") = lower(${artist})
+      )`);
+    }
+    if (genre) {
+      filters.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "TrackArtist" ta
+        JOIN "Artist" ar ON ar."id" = ta."artistId"
+        LEFT JOIN "ArtistStat" a ON a."userId" = t."userId" AND a."artistId" = ta."artistId"
+        WHERE ta."trackId" = t."trackId"
+          AND EXISTS (
+            SELECT 1 FROM unnest(ar."genres" || COALESCE(a."genres", '{}')) g
+            WHERE lower(g) = lower(${genre})
+          )
+      )`);
+    }
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        EXTRACT(DOW FROM ${localTime})::int AS weekday,
+        EXTRACT(HOUR FROM ${localTime})::int AS hour,
+        COUNT(*)::int AS plays,
+        COALESCE(SUM(COALESCE(t."msPlayed", t."duration", 0)), 0)::bigint AS "totalMs"
+      FROM "TrackStat" t
+      WHERE ${Prisma.join(filters, ' AND ')}
+      GROUP BY 1, 2
+    `;
+
+    const plays = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const minutes = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    let totalPlays = 0;
+    let totalMs = 0;
+    let peak = null;
+
+    for (const row of rows) {
+      const cellMs = Number(row.totalMs);
+      plays[row.weekday][row.hour] = row.plays;
+      minutes[row.weekday][row.hour] = Math.round(cellMs / 60000);
+      totalPlays += row.plays;
+      totalMs += cellMs;
+
+      if (!peak || row.plays > peak.plays) {
+        peak = { weekday: row.weekday, hour: row.hour, plays: row.plays };
+      }
+    }
+
+    return {
+      timeRange,
+      timeZone,
+      filters: { artistId, artist, genre, excludeSkips },
+      weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      plays,
+      minutes,
+      totalPlays,
+      totalMinutes: Math.round(totalMs / 60000),
+      peak,
+    };
+  }
+
+  /**
+   * Top artists by plays within a time range, aggregated in SQL
+   * Every credited artist of a track gets the play (artists resolved through TrackArtist, like
+   * addArtistPlays); plays of tracks whose artists aren't in the catalog yet are not counted.
+   * @param {Object} options
+   * @param {string} options.timeRange - '24h', '7d', '30d', 'all'
+   * @param {string} options.timeZone - IANA time zone for the range start
+   * @param {boolean} options.excludeSkips - Leave skipped plays out
+   * @param {number} options.limit - Number of artists
+   * @returns {Object[]} [{ artistId, name, imageUrl, plays, lastPlayed }] by plays, most first
+   */
+  async getTopArtistsByTime({
+    timeRange = 'all',
+    timeZone = DEFAULT_TIME_ZONE,
+    excludeSkips = false,
+    limit = 20,
+  } = {}) {
+    const startDate = getTimeRangeStart(timeRange, timeZone) || new Date(0);
+
+    const filters = [
+      Prisma.sql`t."userId" = ${this.user.id}`,
+      Prisma.sql`t."playedAt" >= ${startDate}`,
+    ];
+    if (excludeSkips) {
+      filters.push(Prisma.sql`t."skipped" IS NOT TRUE`);
+    }
+
+    return prisma.$queryRaw`
+      SELECT
+        ar."id" AS "artistId",
+        ar."name",
+        ar."imageUrl",
+        COUNT(*)::int AS plays,
+        MAX(t."playedAt") AS "lastPlayed"
+      FROM "TrackStat" t
+      JOIN "TrackArtist" ta ON ta."trackId" = t."trackId"
+      JOIN "Artist" ar ON ar."id" = ta."artistId"
+      WHERE ${Prisma.join(filters, ' AND ')}
+      GROUP BY ar."id"
+      ORDER BY plays DESC, "lastPlayed" DESC
+      LIMIT ${limit}
+    `;
+  }
+
   /**
    * Get top artists from database
    */
@@ -409,16 +701,13 @@ export class AnalysisService {
     }
 
     try {
-      // First try to fetch with orderBy - if it fails, we'll sort in JS
-      const allArtists = await prisma.artistStat.findMany({
-        where: { userId: this.user.id }
+      // Most played first (counted from real plays), most recently played breaks ties
+      const sortedArtists = await prisma.artistStat.findMany({
+        where: { userId: this.user.id },
+        orderBy: [{ playCount: 'desc' }, { lastPlayedAt: { sort: 'desc', nulls: 'last' } }],
+        take: parseInt(limit),
       });
 
-      // Sort by playCount in descending order and take the limit
-      const sortedArtists = allArtists
-        .sort((a, b) => (b.playCount || 0) - (a.playCount || 0))
-        .slice(0, limit);
-        
       return sortedArtists.map(artist => ({
         id: artist.id,
         artistId: artist.artistId,
@@ -426,6 +715,8 @@ export class AnalysisService {
         genres: artist.genres || [],
         imageUrl: artist.imageUrl || null,
         playCount: artist.playCount || 0,
+        firstPlayedAt: artist.firstPlayedAt,
+        lastPlayedAt: artist.lastPlayedAt,
         createdAt: artist.createdAt,
         updatedAt: artist.updatedAt,
       }));
@@ -526,10 +817,10 @@ export class AnalysisService {
         .sort((a, b) => b.plays - a.plays)
         .slice(0, 20);
 
-      // 2. Get top artists from ArtistStat (ordered by playCount)
+      // 2. Get top artists from ArtistStat (ordered by real play count)
       const topArtists = await prisma.artistStat.findMany({
         where: { userId: this.user.id },
-        orderBy: { playCount: 'desc' },
+        orderBy: [{ playCount: 'desc' }, { lastPlayedAt: { sort: 'desc', nulls: 'last' } }],
         take: 20,
         select: {
           artistId: true,
@@ -537,6 +828,8 @@ export class AnalysisService {
           genres: true,
           imageUrl: true,
           playCount: true,
+          firstPlayedAt: true,
+          lastPlayedAt: true,
         },
       });
 
@@ -546,6 +839,8 @@ export class AnalysisService {
         plays: artist.playCount,
         genres: artist.genres,
         imageUrl: artist.imageUrl,
+        firstPlayedAt: artist.firstPlayedAt,
+        lastPlayedAt: artist.lastPlayedAt,
       }));
 
       // 3. Calculate genre distribution (weighted by artist playCount)
@@ -580,59 +875,23 @@ export class AnalysisService {
           return acc;
         }, {});
 
-      // 4. Calculate average energy and valence (weighted by play count)
-      const tracksWithFeatures = await prisma.trackStat.findMany({
-        where: {
-          userId: this.user.id,
-          energy: { not: null },
-          valence: { not: null },
-        },
-        select: {
-          energy: true,
-          valence: true,
-        },
-      });
-
-      let totalEnergy = 0;
-      let totalValence = 0;
-      let totalWeight = 0;
-
-      // For weighted average, we can use play count as weight
-      // Since we don't have play count per track in TrackStat, we'll use equal weights
-      // Or we can count occurrences (each TrackStat record = one play)
-      const trackFeatureMap = {};
-      allTracks.forEach(track => {
-        if (!trackFeatureMap[track.trackId]) {
-          trackFeatureMap[track.trackId] = { plays: 0, energy: null, valence: null };
-        }
-        trackFeatureMap[track.trackId].plays++;
-      });
-
-      // Get features for tracks
-      const tracksWithEnergyValence = await prisma.trackStat.findMany({
-        where: {
-          userId: this.user.id,
-          energy: { not: null },
-          valence: { not: null },
-        },
-        select: {
-          trackId: true,
-          energy: true,
-          valence: true,
-        },
-      });
-
-      // Calculate weighted average
-      tracksWithEnergyValence.forEach(track => {
-        const plays = trackFeatureMap[track.trackId]?.plays || 1;
-        const weight = plays;
-        totalEnergy += (track.energy || 0) * weight;
-        totalValence += (track.valence || 0) * weight;
-        totalWeight += weight;
-      });
-
-      const avgEnergy = totalWeight > 0 ? totalEnergy / totalWeight : null;
-      const avgValence = totalWeight > 0 ? totalValence / totalWeight : null;
+      // 4. Calculate average energy and valence from the catalog (weighted by play count)
+      const [features] = await prisma.$queryRaw`
+        SELECT
+          SUM(t."energy" * p.plays) / NULLIF(SUM(p.plays), 0) AS "avgEnergy",
+          SUM(t."valence" * p.plays) / NULLIF(SUM(p.plays), 0) AS "avgValence"
+        FROM (
+          SELECT "trackId", COUNT(*) AS plays
+          FROM "TrackStat"
+          WHERE "userId" = ${this.user.id}
+          GROUP BY "trackId"
+        ) p
+        JOIN "Track" t ON t."id" = p."trackId"
+        WHERE t."energy" IS NOT NULL AND t."valence" IS NOT NULL
+      `;
+
+      const avgEnergy = features?.avgEnergy ?? null;
+      const avgValence = features?.avgValence ?? null;
 
       // 5. Upsert MusicProfile
       const profile = await prisma.musicProfile.upsert({
@@ -663,8 +922,11 @@ export class AnalysisService {
 
   /**
    * Get comprehensive dashboard data
+   * @param {Object} options
+   * @param {boolean} options.excludeSkips - Leave skipped plays out of the listening stats
+   * @param {string} options.timeZone - IANA time zone for the listening stats
    */
-  async getDashboard() {
+  async getDashboard({ excludeSkips = false, timeZone = DEFAULT_TIME_ZONE } = {}) {
     try {
       // Check if database is available for this user
       if (!prisma || this.user.id.startsWith('temp_')) {
@@ -674,20 +936,31 @@ export class AnalysisService {
         const [stats, topArtists, recentTracks, spotifyTopTracks] = await Promise.all([
           // Create basic stats based on recent tracks
           (async () => {
-            const recent = await this.spotifyService.getRecentlyPlayed(50);
+            const allRecent = await this.spotifyService.getRecentlyPlayed(50);
+            const durations = inferPlayDurations(allRecent);
+            const recent = excludeSkips
+              ? allRecent.filter(track => !durations.get(track).skipped)
+              : allRecent;
+            const hourlyActivity = new Array(24).fill(0);
+            recent.forEach(track => {
+              hourlyActivity[getZonedParts(track.playedAt, timeZone).hour]++;
+            });
             return {
               timeRange: '30d',
+              timeZone,
+              excludeSkips,
               totalTracks: recent.length,
+              skippedPlays: allRecent.filter(track => durations.get(track).skipped).length,
               uniqueTracks: new Set(recent.map(t => t.trackId)).size,
               uniqueArtists: new Set(recent.map(t => t.artist)).size,
               totalListeningTime: { 
                 hours: 0, 
                 minutes: 0, 
-                totalMs: recent.reduce((sum, track) => sum + (track.duration || 0), 0) 
+                totalMs: recent.reduce((sum, track) => sum + (durations.get(track).msPlayed || 0), 0) 
               },
               topTracks: recent.slice(0, 10),
               topArtists: [], // Will be filled from topArtists below
-              hourlyActivity: new Array(24).fill(0),
+              hourlyActivity,
               firstTrack: recent[recent.length - 1] || null,
               lastTrack: recent[0] || null,
             };
@@ -725,7 +998,7 @@ export class AnalysisService {
 
       // Use database for regular users
       const [stats, topArtists, recentTracks] = await Promise.all([
-        this.getListeningStats('30d'),
+        this.getListeningStats('30d', { excludeSkips, timeZone }),
         this.getTopArtists('10').catch(err => {
           console.error('Error fetching top artists for dashboard:', err);
           return []; // Return empty array if database query fails
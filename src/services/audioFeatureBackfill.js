@@ -0,0 +1,132 @@
+import { PrismaClient } from '@prisma/client';
+import { SpotifyService } from './spotifyService.js';
+import { CatalogService } from './catalogService.js';
+import { isSpotifyId } from '../utils/spotifyClient.js';
+
+const prisma = new PrismaClient();
+const catalogService = new CatalogService();
+
+// Ids per /audio-features request (Spotify's maximum)
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Audio Feature Backfill
+ * Syncs only fetch audio features for the top-50 tracks, so most played tracks have none and
+ * play-weighted averages (MusicProfile.avgEnergy / avgValence) only reflect a few favourites.
+ * This fills in features for every track in the user's play history, most played first, and
+ * reports how much of the history is covered.
+ */
+export class AudioFeatureBackfill {
+  constructor(user) {
+    this.user = user;
+    this.spotifyService = new SpotifyService(user, { priority: 'background' });
+  }
+
+  /**
+   * Played tracks whose audio features were never requested, most played first
+   * @returns {Object[]} [{ trackId, name }]
+   */
+  async findMissingTracks() {
+    const rows = await prisma.$queryRaw`
+      SELECT p."trackId", p."name"
+      FROM (
+        SELECT "trackId", MAX("name") AS "name", COUNT(*) AS plays
+        FROM "TrackStat"
+        WHERE "userId" = ${this.user.id}
+        GROUP BY "trackId"
+      ) p
+      LEFT JOIN "Track" t ON t."id" = p."trackId"
+      WHERE t."audioFeaturesCheckedAt" IS NULL
+      ORDER BY p.plays DESC
+    `;
+    return rows.filter(row => isSpotifyId(row.trackId));
+  }
+
+  /**
+   * Fetch and store audio features for every played track that has none yet
+   * Progress is saved per batch, so a failed run resumes where it stopped.
+   * @param {Object} options - { onProgress }: async (progress) => void, called after each batch
+   * @returns {Object} { checked, withFeatures, unavailable, coverage }
+   */
+  async run({ onProgress } = {}) {
+    const missing = await this.findMissingTracks();
+    // Plays can be stored before their catalog row exists (history imports)
+    await catalogService.ensureTracks(missing);
+
+    const totalSteps = Math.ceil(missing.length / AUDIO_FEATURES_BATCH_SIZE);
+    let withFeatures = 0;
+    let unavailable = 0;
+
+    for (let i = 0; i < missing.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+      const batch = missing.slice(i, i + AUDIO_FEATURES_BATCH_SIZE).map(row => row.trackId);
+      const features = (await this.spotifyService.getAudioFeatures(batch) || []).filter(feature => feature?.id);
+
+      withFeatures += await catalogService.updateAudioFeatures(features);
+      // Spotify answers null for tracks it has no analysis for (podcasts, some local uploads)
+      const found = new Set(features.map(feature => feature.id));
+      unavailable += await catalogService.markAudioFeaturesChecked(batch.filter(id => !found.has(id)));
+
+      if (onProgress) {
+        await onProgress({
+          step: 'audio_features',
+          completedSteps: i / AUDIO_FEATURES_BATCH_SIZE + 1,
+          totalSteps,
+        });
+      }
+    }
+
+    if (missing.length > 0) {
+      console.log(
+        `Audio feature backfill for user ${this.user.id}: ${withFeatures} tracks updated, ${unavailable} without features`
+      );
+    }
+
+    return {
+      checked: missing.length,
+      withFeatures,
+      unavailable,
+      coverage: await this.getCoverage(),
+    };
+  }
+
+  /**
+   * How much of the user's play history has audio features
+   * @returns {Object} { playedTracks, withFeatures, unavailable, pending, trackCoverage, playCoverage }
+   *   trackCoverage is the share of distinct played tracks with features, playCoverage the share of plays
+   */
+  async getCoverage() {
+    const [row] = await prisma.$queryRaw`
+      SELECT
+        COUNT(*) AS "playedTracks",
+        COUNT(t."energy") AS "withFeatures",
+        COUNT(*) FILTER (WHERE t."audioFeaturesCheckedAt" IS NOT NULL AND t."energy" IS NULL) AS "unavailable",
+        COALESCE(SUM(p.plays), 0) AS "plays",
+        COALESCE(SUM(p.plays) FILTER (WHERE t."energy" IS NOT NULL), 0) AS "playsWithFeatures"
+      FROM (
+        SELECT "trackId", COUNT(*) AS plays
+        FROM "TrackStat"
+        WHERE "userId" = ${this.user.id}
+        GROUP BY "trackId"
+      ) p
+      LEFT JOIN "Track" t ON t."id" = p."trackId"
+    `;
+
+    // COUNT and SUM come back as BigInt
+    const playedTracks = Number(row.playedTracks);
+    const withFeatures = Number(row.withFeatures);
+    const unavailable = Number(row.unavailable);
+
+    return {
+      playedTracks,
+      withFeatures,
+      unavailable,
+      pending: playedTracks - withFeatures - unavailable,
+      trackCoverage: ratio(withFeatures, playedTracks),
+      playCoverage: ratio(Number(row.playsWithFeatures), Number(row.plays)),
+    };
+  }
+}
@@ -0,0 +1,251 @@
+import { PrismaClient } from '@prisma/client';
+import { LruCache } from '../utils/lruCache.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a cached response is served before it's revalidated with Spotify
+export const CATALOG_TTLS = {
+  track: 7 * DAY_MS,
+  // Popularity and follower counts move faster than track metadata
+  artist: DAY_MS,
+  audio_features: 30 * DAY_MS,
+  audio_analysis: 30 * DAY_MS,
+};
+
+// Expired entries are kept this long for ETag revalidation before pruneExpired deletes them
+const EXPIRED_RETENTION_MS = 30 * DAY_MS;
+
+/**
+ * Catalog Cache
+ * Cross-user cache of Spotify catalog responses (tracks, artists, audio features and analysis),
+ * which are the same for every user. Lookups go memory LRU -> CatalogCacheEntry table -> Spotify;
+ * expired entries are revalidated with their ETag, so an unchanged object costs a 304 instead of
+ * a full download. The database tier is skipped when it's unavailable.
+ */
+export class CatalogCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxMemoryBytes - Budget for the in-memory tier (audio analyses are large)
+   */
+  constructor({ maxMemoryBytes }) {
+    this.memory = new LruCache({ maxSize: maxMemoryBytes, sizeOf: entry => entry.bytes });
+    this.stats = { memoryHits: 0, dbHits: 0, revalidated: 0, misses: 0, sharedMisses: 0 };
+    // key -> promise of a lookup that's past the memory tier, so concurrent misses share it
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get a catalog object, fetching it from Spotify when it isn't cached or has expired
+   * Concurrent misses on the same key wait for a single lookup (using the first caller's fetcher)
+   * rather than each calling Spotify. Only its result is shared: if it fails (e.g. the first
+   * caller's Spotify access was revoked), each waiter retries with its own fetcher.
+   * @param {string} resource - Key of CATALOG_TTLS
+   * @param {string} id - Spotify id
+   * @param {Function} fetcher - async (etag) => { data, etag, notModified }; gets the cached
+   *   entry's ETag (or null) to send as If-None-Match
+   */
+  async fetch(resource, id, fetcher) {
+    const key = `${resource}:${id}`;
+
+    const entry = this.memory.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.memoryHits++;
+      return entry.data;
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.sharedMisses++;
+      return this.inFlight.get(key).catch(() => this.lookup(resource, key, this.memory.get(key), fetcher));
+    }
+
+    const lookup = this.lookup(resource, key, entry, fetcher).finally(() => {
+      this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, lookup);
+    return lookup;
+  }
+
+  /**
+   * Database tier, then Spotify (revalidating with the ETag of an expired entry)
+   * @param {Object} entry - Expired memory entry, if any
+   */
+  async lookup(resource, key, entry, fetcher) {
+    const now = Date.now();
+
+    if (!entry) {
+      entry = await this.loadEntry(key);
+      if (entry && entry.expiresAt > now) {
+        this.stats.dbHits++;
+        this.remember(key, entry);
+        return entry.data;
+      }
+    }
+
+    const result = await fetcher(entry?.etag || null);
+    const expiresAt = now + CATALOG_TTLS[resource];
+
+    if (result.notModified && entry) {
+      this.stats.revalidated++;
+      entry = { ...entry, expiresAt };
+      await this.extendEntry(key, expiresAt);
+    } else {
+      this.stats.misses++;
+      entry = { data: result.data, etag: result.etag || null, expiresAt };
+      await this.saveEntry(key, resource, entry);
+    }
+
+    this.remember(key, entry);
+    return entry.data;
+  }
+
+  /**
+   * Get several catalog objects of one type, fetching the missing and expired ones together
+   * Multi-get responses carry no per-object ETag, so expired entries are refetched in full.
+   * @param {string} resource - Key of CATALOG_TTLS
+   * @param {string[]} ids - Spotify ids
+   * @param {Function} fetcher - async (ids) => Map of id -> data, null for ids Spotify doesn't know
+   * @returns {Map} id -> data for the ids that were cached or fetched
+   */
+  async fetchMany(resource, ids, fetcher) {
+    const now = Date.now();
+    const found = new Map();
+
+    let missing = [];
+    for (const id of new Set(ids)) {
+      const entry = this.memory.get(`${resource}:${id}`);
+      if (entry && entry.expiresAt > now) {
+        this.stats.memoryHits++;
+        found.set(id, entry.data);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    if (missing.length > 0) {
+      const stored = await this.loadEntries(missing.map(id => `${resource}:${id}`));
+      missing = missing.filter(id => {
+        const key = `${resource}:${id}`;
+        const entry = stored.get(key);
+        if (!entry || entry.expiresAt <= now) {
+          return true;
+        }
+        this.stats.dbHits++;
+        this.remember(key, entry);
+        found.set(id, entry.data);
+        return false;
+      });
+    }
+
+    if (missing.length > 0) {
+      const expiresAt = now + CATALOG_TTLS[resource];
+      const fetched = [];
+      for (const [id, data] of await fetcher(missing)) {
+        if (!data) continue;
+        this.stats.misses++;
+        const key = `${resource}:${id}`;
+        const entry = { data, etag: null, expiresAt };
+        this.remember(key, entry);
+        fetched.push([key, entry]);
+        found.set(id, data);
+      }
+      await this.saveEntries(resource, fetched);
+    }
+
+    return found;
+  }
+
+  remember(key, entry) {
+    this.memory.set(key, { ...entry, bytes: entry.bytes || JSON.stringify(entry.data).length });
+  }
+
+  async loadEntry(key) {
+    try {
+      const row = await prisma.catalogCacheEntry.findUnique({ where: { key } });
+      return row ? { data: row.data, etag: row.etag, expiresAt: row.expiresAt.getTime() } : null;
+    } catch (error) {
+      console.warn(`Catalog cache lookup failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Map} key -> entry for the keys found in the database
+   */
+  async loadEntries(keys) {
+    try {
+      const rows = await prisma.catalogCacheEntry.findMany({ where: { key: { in: keys } } });
+      return new Map(rows.map(row => [row.key, { data: row.data, etag: row.etag, expiresAt: row.expiresAt.getTime() }]));
+    } catch (error) {
+      console.warn(`Catalog cache lookup failed for ${keys.length} entries:`, error.message);
+      return new Map();
+    }
+  }
+
+  upsertEntry(key, resource, { data, etag, expiresAt }) {
+    const fields = { data, etag, fetchedAt: new Date(), expiresAt: new Date(expiresAt) };
+    return prisma.catalogCacheEntry.upsert({
+      where: { key },
+      create: { key, resource, ...fields },
+      update: fields,
+    });
+  }
+
+  async saveEntry(key, resource, entry) {
+    try {
+      await this.upsertEntry(key, resource, entry);
+    } catch (error) {
+      console.warn(`Failed to store catalog cache entry ${key}:`, error.message);
+    }
+  }
+
+  async saveEntries(resource, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    try {
+      await prisma.$transaction(entries.map(([key, entry]) => this.upsertEntry(key, resource, entry)));
+    } catch (error) {
+      console.warn(`Failed to store ${entries.length} catalog cache entries:`, error.message);
+    }
+  }
+
+  async extendEntry(key, expiresAt) {
+    try {
+      await prisma.catalogCacheEntry.updateMany({
+        where: { key },
+        data: { expiresAt: new Date(expiresAt) },
+      });
+    } catch (error) {
+      console.warn(`Failed to extend catalog cache entry ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete entries that expired long enough ago that revalidating them isn't worth keeping
+   * @returns {number} Number of deleted entries
+   */
+  async pruneExpired(now = new Date()) {
+    const { count } = await prisma.catalogCacheEntry.deleteMany({
+      where: { expiresAt: { lt: new Date(now.getTime() - EXPIRED_RETENTION_MS) } },
+    });
+    return count;
+  }
+
+  /**
+   * Snapshot for /health
+   */
+  getMetrics() {
+    return {
+      memoryEntries: this.memory.entries.size,
+      memoryBytes: this.memory.size,
+      ...this.stats,
+    };
+  }
+}
+
+// Shared by every SpotifyService instance in the process
+export const catalogCache = new CatalogCache({
+  maxMemoryBytes: (parseInt(process.env.CATALOG_CACHE_MEMORY_MB) || 64) * 1024 * 1024,
+});
@@ -0,0 +1,185 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Track columns filled from a Spotify audio features object
+const AUDIO_FEATURE_FIELDS = [
+  'danceability', 'energy', 'valence', 'tempo', 'acousticness', 'instrumentalness',
+  'speechiness', 'liveness', 'loudness', 'key', 'mode',
+];
+
+/**
+ * Check if an id is a real Spotify id (the Spotify mappers use 'unknown_id' as a placeholder)
+ */
+function isCatalogId(id) {
+  return typeof id === 'string' && id !== '' && id !== 'unknown_id';
+}
+
+/**
+ * Catalog Service
+ * Maintains the shared Track, Artist and Album tables. Catalog rows are keyed by Spotify ids and
+ * shared between users; per-user data (plays, stats) references them by id.
+ */
+export class CatalogService {
+  /**
+   * Upsert tracks together with their album and credited artists
+   * @param {Object[]} tracks - Tracks as returned by mapSpotifyTrack
+   * @returns {number} Number of tracks written
+   */
+  async upsertTracks(tracks) {
+    const uniqueTracks = new Map();
+    for (const track of tracks) {
+      if (isCatalogId(track.trackId)) {
+        uniqueTracks.set(track.trackId, track);
+      }
+    }
+
+    for (const track of uniqueTracks.values()) {
+      const album = track.album && isCatalogId(track.album.id) ? track.album : null;
+      const artists = (track.artists || []).filter(artist => isCatalogId(artist.id));
+
+      if (album) {
+        const albumData = {
+          name: album.name,
+          imageUrl: album.imageUrl,
+          releaseDate: album.releaseDate,
+        };
+        await prisma.album.upsert({
+          where: { id: album.id },
+          create: { id: album.id, ...albumData },
+          update: albumData,
+        });
+      }
+
+      for (const artist of artists) {
+        // Genres and images only come from full artist objects, see upsertArtists
+        await prisma.artist.upsert({
+          where: { id: artist.id },
+          create: { id: artist.id, name: artist.name, genres: [] },
+          update: { name: artist.name },
+        });
+      }
+
+      const trackData = {
+        name: track.name,
+        albumId: album ? album.id : null,
+        imageUrl: track.imageUrl || null,
+        durationMs: track.duration || null,
+        popularity: track.popularity || null,
+      };
+      await prisma.track.upsert({
+        where: { id: track.trackId },
+        create: { id: track.trackId, ...trackData },
+        update: trackData,
+      });
+
+      if (artists.length > 0) {
+        await prisma.trackArtist.createMany({
+          data: artists.map((artist, position) => ({
+            trackId: track.trackId,
+            artistId: artist.id,
+            position,
+          })),
+          skipDuplicates: true,
+        });
+      }
+    }
+
+    return uniqueTracks.size;
+  }
+
+  /**
+   * Upsert full artist objects (with genres and images)
+   * @param {Object[]} artists - Artists as returned by SpotifyService.getTopArtists
+   * @returns {number} Number of artists written
+   */
+  async upsertArtists(artists) {
+    let written = 0;
+
+    for (const artist of artists) {
+      if (!isCatalogId(artist.artistId)) continue;
+
+      const artistData = {
+        name: artist.name,
+        genres: artist.genres || [],
+        imageUrl: artist.imageUrl || null,
+        popularity: artist.popularity || null,
+      };
+      await prisma.artist.upsert({
+        where: { id: artist.artistId },
+        create: { id: artist.artistId, ...artistData },
+        update: artistData,
+      });
+      written++;
+    }
+
+    return written;
+  }
+
+  /**
+   * Make sure a catalog row exists for every track id, without overwriting existing metadata
+   * For sources that only carry a track id and name (history imports)
+   * @param {Object[]} tracks - [{ trackId, name }]
+   */
+  async ensureTracks(tracks) {
+    const data = tracks
+      .filter(track => isCatalogId(track.trackId))
+      .map(track => ({ id: track.trackId, name: track.name }));
+
+    if (data.length === 0) {
+      return 0;
+    }
+
+    const result = await prisma.track.createMany({ data, skipDuplicates: true });
+    return result.count;
+  }
+
+  /**
+   * Store audio features on catalog tracks
+   * Only a complete Spotify object marks the track as checked. Partial objects (e.g. the few
+   * features old plays stored) only fill in the values they have, so backfills still fetch the rest.
+   * @param {Object[]} features - Spotify audio feature objects
+   * @returns {number} Number of tracks updated
+   */
+  async updateAudioFeatures(features) {
+    let updated = 0;
+    const checkedAt = new Date();
+
+    for (const feature of features) {
+      if (!feature || !isCatalogId(feature.id)) continue;
+
+      const complete = AUDIO_FEATURE_FIELDS.every(field => field in feature);
+      const data = {};
+      for (const field of AUDIO_FEATURE_FIELDS) {
+        if (complete || feature[field] != null) {
+          data[field] = feature[field] ?? null;
+        }
+      }
+      if (complete) {
+        data.audioFeaturesCheckedAt = checkedAt;
+      }
+      if (Object.keys(data).length === 0) continue;
+
+      const result = await prisma.track.updateMany({ where: { id: feature.id }, data });
+      updated += result.count;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Record that Spotify returned no audio features for these tracks, so backfills stop asking
+   * @param {string[]} trackIds
+   */
+  async markAudioFeaturesChecked(trackIds) {
+    if (trackIds.length === 0) {
+      return 0;
+    }
+
+    const result = await prisma.track.updateMany({
+      where: { id: { in: trackIds } },
+      data: { audioFeaturesCheckedAt: new Date() },
+    });
+    return result.count;
+  }
+}
@@ -0,0 +1,168 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TOP_TIME_RANGES = ['short_term', 'medium_term', 'long_term'];
+
+// Snapshot table and entry fields for each chart type
+const CHARTS = {
+  tracks: {
+    model: prisma.topTrackSnapshot,
+    idField: 'trackId',
+    toEntry: row => ({ trackId: row.trackId, name: row.name, artist: row.artist, imageUrl: row.imageUrl || null }),
+  },
+  artists: {
+    model: prisma.topArtistSnapshot,
+    idField: 'artistId',
+    toEntry: row => ({ artistId: row.artistId, name: row.name, imageUrl: row.imageUrl || null }),
+  },
+};
+
+export const CHART_TYPES = Object.keys(CHARTS);
+
+/**
+ * Calendar day (UTC) a snapshot belongs to
+ */
+export function getSnapshotDate(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Movement of an entry against the previous snapshot
+ * movement is positive when the entry climbed (previous rank 8, now 3 => +5)
+ */
+function getMovement(rank, previousRank, hasPrevious) {
+  if (!hasPrevious) {
+    return { movement: null, status: null };
+  }
+  if (previousRank === null) {
+    return { movement: null, status: 'new' };
+  }
+
+  const movement = previousRank - rank;
+  return { movement, status: movement > 0 ? 'up' : movement < 0 ? 'down' : 'same' };
+}
+
+/**
+ * Chart Service
+ * Stores Spotify top lists as dated snapshots, separate from play history
+ */
+export class ChartService {
+  constructor(user) {
+    this.user = user;
+  }
+
+  /**
+   * Save today's list for a chart, replacing any snapshot of the same range already taken today
+   */
+  async saveSnapshot(type, timeRange, entries, capturedOn = getSnapshotDate()) {
+    const { model } = CHARTS[type];
+    const userId = this.user.id;
+
+    const [, created] = await prisma.$transaction([
+      model.deleteMany({ where: { userId, timeRange, capturedOn } }),
+      model.createMany({
+        data: entries.map((entry, index) => ({
+          userId,
+          timeRange,
+          rank: index + 1,
+          ...entry,
+          capturedOn,
+        })),
+      }),
+    ]);
+
+    return created.count;
+  }
+
+  /**
+   * Save today's top-track list for a time range
+   * @param {string} timeRange - 'short_term', 'medium_term', 'long_term'
+   * @param {Object[]} tracks - Tracks in Spotify's order (as returned by SpotifyService.getTopTracks)
+   * @returns {number} Number of ranked tracks stored
+   */
+  async saveTopTracksSnapshot(timeRange, tracks, capturedOn = getSnapshotDate()) {
+    return this.saveSnapshot('tracks', timeRange, tracks.map(CHARTS.tracks.toEntry), capturedOn);
+  }
+
+  /**
+   * Save today's top-artist list for a time range
+   * @param {string} timeRange - 'short_term', 'medium_term', 'long_term'
+   * @param {Object[]} artists - Artists in Spotify's order (as returned by SpotifyService.getTopArtists)
+   * @returns {number} Number of ranked artists stored
+   */
+  async saveTopArtistsSnapshot(timeRange, artists, capturedOn = getSnapshotDate()) {
+    return this.saveSnapshot('artists', timeRange, artists.map(CHARTS.artists.toEntry), capturedOn);
+  }
+
+  /**
+   * Rank history of a chart over the last `days` days
+   * Entries of the latest snapshot carry their rank on every snapshot day and their movement
+   * since the previous snapshot; new entries and drop-outs are listed separately.
+   * @param {Object} options
+   * @param {'tracks'|'artists'} options.type
+   * @param {string} options.timeRange - 'short_term', 'medium_term', 'long_term'
+   * @param {number} options.days - How many days of snapshots to include
+   * @param {number} options.limit - Number of entries of the latest snapshot to return
+   */
+  async getChartHistory({ type = 'tracks', timeRange = 'medium_term', days = 30, limit = 20 } = {}) {
+    const { model, idField, toEntry } = CHARTS[type];
+    const since = new Date(getSnapshotDate().getTime() - (days - 1) * DAY_MS);
+
+    const rows = await model.findMany({
+      where: { userId: this.user.id, timeRange, capturedOn: { gte: since } },
+      orderBy: [{ capturedOn: 'asc' }, { rank: 'asc' }],
+    });
+
+    // Rows per snapshot day, and each item's rank per day
+    const snapshots = new Map();
+    const ranks = new Map();
+    for (const row of rows) {
+      const date = toDateKey(row.capturedOn);
+      if (!snapshots.has(date)) snapshots.set(date, []);
+      snapshots.get(date).push(row);
+
+      const id = row[idField];
+      if (!ranks.has(id)) ranks.set(id, new Map());
+      ranks.get(id).set(date, row.rank);
+    }
+
+    const dates = [...snapshots.keys()];
+    const latestDate = dates[dates.length - 1] || null;
+    const previousDate = dates[dates.length - 2] || null;
+    const latestRows = latestDate ? snapshots.get(latestDate) : [];
+    const previousRows = previousDate ? snapshots.get(previousDate) : [];
+
+    const history = id => dates.map(date => ({ date, rank: ranks.get(id).get(date) ?? null }));
+    const latestIds = new Set(latestRows.map(row => row[idField]));
+
+    const entries = latestRows.map(row => {
+      const previousRank = previousDate ? ranks.get(row[idField]).get(previousDate) ?? null : null;
+      return {
+        ...toEntry(row),
+        rank: row.rank,
+        previousRank,
+        ...getMovement(row.rank, previousRank, previousDate !== null),
+      };
+    });
+
+    return {
+      type,
+      timeRange,
+      snapshots: dates,
+      latest: latestDate,
+      previous: previousDate,
+      entries: entries.slice(0, limit).map(entry => ({ ...entry, history: history(entry[idField]) })),
+      newEntries: entries.filter(entry => entry.status === 'new'),
+      dropouts: previousRows
+        .filter(row => !latestIds.has(row[idField]))
+        .map(row => ({ ...toEntry(row), previousRank: row.rank })),
+    };
+  }
+}
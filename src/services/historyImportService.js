@@ -0,0 +1,234 @@
+import { PrismaClient } from '@prisma/client';
+import { isSkip } from '../utils/playDuration.js';
+import { CatalogService } from './catalogService.js';
+import { AnalysisService } from './analysisService.js';
+import { enqueueSync } from './syncJobs.js';
+import { jobQueue, serializeJob } from './jobQueue.js';
+
+const prisma = new PrismaClient();
+const catalogService = new CatalogService();
+
+// Rows per createMany call
+const IMPORT_BATCH_SIZE = 500;
+
+// Job type on the shared queue, so imports survive restarts and show up on every instance
+export const HISTORY_IMPORT_JOB_TYPE = 'history_import';
+
+const TRACK_URI_PREFIX = 'spotify:track:';
+
+// Plays of the same track this close together are the same play: export `ts` is truncated to
+// the second while recently-played played_at keeps milliseconds (and may be a second apart)
+const PLAY_MATCH_WINDOW_MS = 2000;
+
+/**
+ * A play is skipped if Spotify flagged it or it was too short to count as a stream
+ * Returns null when neither is known
+ */
+function detectSkip(skippedFlag, msPlayed) {
+  if (skippedFlag === true || isSkip(msPlayed)) {
+    return true;
+  }
+  if (skippedFlag === false || msPlayed !== null) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Convert one entry from a Spotify Extended Streaming History file to TrackStat data
+ * `ts` is when the stream ended in whole seconds, so it only matches a recently-played played_at
+ * to within a second or two (see PLAY_MATCH_WINDOW_MS).
+ * Returns null for podcast episodes, audiobooks and entries without track metadata.
+ */
+export function parseStreamingHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const uri = entry.spotify_track_uri;
+  const name = entry.master_metadata_track_name;
+  const artist = entry.master_metadata_album_artist_name;
+  const playedAt = new Date(entry.ts);
+  const msPlayed = Number.isInteger(entry.ms_played) ? entry.ms_played : null;
+
+  if (typeof uri !== 'string' || !uri.startsWith(TRACK_URI_PREFIX) || !name || !artist || isNaN(playedAt.getTime())) {
+    return null;
+  }
+
+  return {
+    trackId: uri.slice(TRACK_URI_PREFIX.length),
+    name,
+    artist,
+    playedAt,
+    msPlayed,
+    skipped: detectSkip(entry.skipped, msPlayed),
+    shuffle: typeof entry.shuffle === 'boolean' ? entry.shuffle : null,
+    source: 'history_import',
+  };
+}
+
+/**
+ * Flatten the request body into a list of history entries
+ * Accepts one file's contents (an array) or { files: [array, array, ...] } for several files
+ */
+export function collectHistoryEntries(body) {
+  if (Array.isArray(body)) {
+    return body;
+  }
+  if (body && Array.isArray(body.files) && body.files.every(Array.isArray)) {
+    return body.files.flat();
+  }
+  return null;
+}
+
+/**
+ * Drop plays the user already has: same track within PLAY_MATCH_WINDOW_MS
+ * The TrackStat unique key only catches exact timestamps, which imports and syncs rarely share.
+ */
+async function filterKnownPlays(userId, plays) {
+  const times = plays.map(play => play.playedAt.getTime());
+  const existing = await prisma.trackStat.findMany({
+    where: {
+      userId,
+      trackId: { in: [...new Set(plays.map(play => play.trackId))] },
+      playedAt: {
+        gte: new Date(Math.min(...times) - PLAY_MATCH_WINDOW_MS),
+        lte: new Date(Math.max(...times) + PLAY_MATCH_WINDOW_MS),
+      },
+    },
+    select: { trackId: true, playedAt: true },
+  });
+
+  const known = new Map();
+  for (const row of existing) {
+    if (!known.has(row.trackId)) {
+      known.set(row.trackId, []);
+    }
+    known.get(row.trackId).push(row.playedAt.getTime());
+  }
+
+  return plays.filter(play => !(known.get(play.trackId) || []).some(
+    time => Math.abs(time - play.playedAt.getTime()) <= PLAY_MATCH_WINDOW_MS
+  ));
+}
+
+/**
+ * Get an import job owned by the given user
+ */
+export async function getImportJob(userId, jobId) {
+  const job = await jobQueue.getJob(jobId);
+  return job && job.type === HISTORY_IMPORT_JOB_TYPE && job.userId === userId ? serializeJob(job) : null;
+}
+
+/**
+ * History Import Service
+ * Imports Spotify "Extended Streaming History" privacy exports into TrackStat as a background job
+ */
+export class HistoryImportService {
+  constructor(user) {
+    this.user = user;
+  }
+
+  /**
+   * Parse entries and queue the import, unless the user already has one queued or running
+   * @param {Object[]} entries - Raw Extended Streaming History entries
+   * @returns {Object} { job, created }; job is the active import when created is false
+   * @throws {Error} status 400 when the entries contain no music plays
+   */
+  async startImport(entries) {
+    // Deduplicate within the upload; plays we already have are dropped per batch in runImport
+    const plays = new Map();
+    let ignored = 0;
+    for (const entry of entries) {
+      const play = parseStreamingHistoryEntry(entry);
+      if (!play) {
+        ignored++;
+        continue;
+      }
+      plays.set(`${play.trackId}|${play.playedAt.getTime()}`, play);
+    }
+
+    if (plays.size === 0) {
+      const error = new Error('No music plays found in the uploaded files');
+      error.status = 400;
+      throw error;
+    }
+
+    const progress = {
+      total: entries.length,
+      plays: plays.size,
+      processed: 0,
+      imported: 0,
+      duplicates: entries.length - ignored - plays.size,
+      ignored,
+    };
+
+    // Sorted so each batch covers a short time span for filterKnownPlays
+    const sorted = [...plays.values()].sort((a, b) => a.playedAt - b.playedAt);
+    const { job, created } = await jobQueue.enqueueUnique(HISTORY_IMPORT_JOB_TYPE, {
+      userId: this.user.id,
+      payload: { plays: sorted, progress },
+      progress,
+    });
+
+    return { job: serializeJob(job), created };
+  }
+}
+
+/**
+ * Queue handler: insert the job's plays in batches, reporting progress as it goes
+ * A retry starts over; plays stored by the failed attempt are counted as duplicates.
+ */
+async function runImport(job, { reportProgress }) {
+  const user = await prisma.user.findUnique({ where: { id: job.userId } });
+  if (!user) {
+    throw Object.assign(new Error(`User ${job.userId} not found`), { retryable: false });
+  }
+  const analysisService = new AnalysisService(user, { priority: 'background' });
+
+  const plays = job.payload.plays.map(play => ({ ...play, playedAt: new Date(play.playedAt) }));
+  const progress = { ...job.payload.progress };
+  console.log(`Starting history import ${job.id} for user ${job.userId}: ${plays.length} plays`);
+
+  for (let i = 0; i < plays.length; i += IMPORT_BATCH_SIZE) {
+    const batch = plays.slice(i, i + IMPORT_BATCH_SIZE);
+
+    // Exports only carry track names: add catalog rows and look up their artists, so the
+    // plays count towards artist stats
+    await catalogService.ensureTracks(batch).catch(error => {
+      console.warn(`History import ${job.id}: could not add tracks to the catalog:`, error.message);
+    });
+    if (!user.spotifyDisconnectedAt) {
+      await analysisService.resolveTrackArtists(batch.map(play => play.trackId)).catch(error => {
+        console.warn(`History import ${job.id}: could not resolve track artists:`, error.message);
+      });
+    }
+
+    const fresh = await filterKnownPlays(job.userId, batch);
+    const result = await prisma.trackStat.createMany({
+      data: fresh.map(play => ({ userId: job.userId, ...play })),
+      skipDuplicates: true,
+    });
+
+    progress.processed += batch.length;
+    progress.imported += result.count;
+    progress.duplicates += batch.length - result.count;
+    await reportProgress({ ...progress });
+  }
+
+  // createMany doesn't say which rows it skipped, so recount artist plays once instead of
+  // adding each batch (which would also count plays a concurrent sync stored first)
+  await analysisService.refreshArtistPlayStats().catch(error => {
+    console.warn(`History import ${job.id}: could not update artist play counts:`, error.message);
+  });
+
+  // Imported history is mostly tracks the top-50 syncs never fetched audio features for
+  await enqueueSync(job.userId, 'backfill_audio_features').catch(error => {
+    console.warn(`History import ${job.id}: could not queue audio feature backfill:`, error.message);
+  });
+
+  console.log(`History import ${job.id} completed:`, progress);
+  return progress;
+}
+
+jobQueue.register(HISTORY_IMPORT_JOB_TYPE, runImport);
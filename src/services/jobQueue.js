@@ -0,0 +1,451 @@
+import crypto from 'crypto';
+import os from 'os';
+import { PrismaClient } from '@prisma/client';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 2;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_MS) || 2000;
+// First retry waits this long, each further retry twice as long
+const DEFAULT_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 30000;
+// A running job whose lock hasn't been refreshed within this window is assumed dead and re-queued;
+// workers refresh the lock on every progress report and every third of the window (heartbeat)
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+// Attempts at insertUnique when concurrent inserts abort each other's serializable transaction
+const UNIQUE_INSERT_ATTEMPTS = 3;
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Public view of a job
+ */
+export function serializeJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    progress: job.progress ?? null,
+    result: job.result ?? null,
+    error: job.error ?? null,
+    runAt: job.runAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt ?? null,
+    finishedAt: job.finishedAt ?? null,
+  };
+}
+
+/**
+ * Postgres-backed job store (Job table)
+ */
+export class PrismaJobStore {
+  constructor(prisma = new PrismaClient()) {
+    this.prisma = prisma;
+  }
+
+  async insert(data) {
+    return this.prisma.job.create({ data });
+  }
+
+  async findById(id) {
+    return this.prisma.job.findUnique({ where: { id } });
+  }
+
+  /**
+   * Insert a job unless the user already has an active job of the same type
+   * Runs serializable, so two concurrent calls can't both see "no active job" and insert;
+   * the loser is aborted (P2034) and retried, and then finds the winner's job.
+   * @returns {Object} { job, created }
+   */
+  async insertUnique(data) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.prisma.$transaction(async tx => {
+          const active = await tx.job.findFirst({
+            where: { userId: data.userId, type: data.type, status: { in: ACTIVE_JOB_STATUSES } },
+            orderBy: { createdAt: 'asc' },
+          });
+          if (active) {
+            return { job: active, created: false };
+          }
+          return { job: await tx.job.create({ data }), created: true };
+        }, { isolationLevel: 'Serializable' });
+      } catch (error) {
+        if (error.code !== 'P2034' || attempt >= UNIQUE_INSERT_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async findActive({ userId, type }) {
+    return this.prisma.job.findFirst({
+      where: { userId, type, status: { in: ACTIVE_JOB_STATUSES } },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Atomically move the next due job to running
+   * SKIP LOCKED lets several processes poll the same table without handing out a job twice.
+   */
+  async claim(workerId) {
+    const rows = await this.prisma.$queryRaw`
+      UPDATE "Job"
+      SET "status" = 'running',
+          "attempts" = "attempts" + 1,
+          "lockedAt" = NOW(),
+          "lockedBy" = ${workerId},
+          "startedAt" = COALESCE("startedAt", NOW())
+      WHERE "id" = (
+        SELECT "id" FROM "Job"
+        WHERE "status" = 'queued' AND "runAt" <= NOW()
+        ORDER BY "runAt", "createdAt"
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+    return rows[0] || null;
+  }
+
+  async update(id, data) {
+    return this.prisma.job.update({ where: { id }, data });
+  }
+
+  async requeueStale(lockedBefore) {
+    const result = await this.prisma.job.updateMany({
+      where: { status: 'running', lockedAt: { lt: lockedBefore } },
+      data: { status: 'queued', lockedAt: null, lockedBy: null },
+    });
+    return result.count;
+  }
+}
+
+/**
+ * In-process job store with the same interface, for tests and local runs without Postgres
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async insert(data) {
+    const job = {
+      id: crypto.randomUUID(),
+      userId: null,
+      payload: {},
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      runAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      ...data,
+    };
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  async findById(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async insertUnique(data) {
+    // No await between the check and the insert, so this is atomic within the process
+    for (const job of this.jobs.values()) {
+      if (job.userId === data.userId && job.type === data.type && ACTIVE_JOB_STATUSES.includes(job.status)) {
+        return { job: { ...job }, created: false };
+      }
+    }
+    return { job: await this.insert(data), created: true };
+  }
+
+  async findActive({ userId, type }) {
+    for (const job of this.jobs.values()) {
+      if (job.userId === userId && job.type === type && ACTIVE_JOB_STATUSES.includes(job.status)) {
+        return { ...job };
+      }
+    }
+    return null;
+  }
+
+  async claim(workerId) {
+    const now = new Date();
+    const due = [...this.jobs.values()]
+      .filter(job => job.status === 'queued' && job.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt || a.createdAt - b.createdAt)[0];
+
+    if (!due) {
+      return null;
+    }
+
+    Object.assign(due, {
+      status: 'running',
+      attempts: due.attempts + 1,
+      lockedAt: now,
+      lockedBy: workerId,
+      startedAt: due.startedAt || now,
+    });
+    return { ...due };
+  }
+
+  async update(id, data) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    Object.assign(job, data);
+    return { ...job };
+  }
+
+  async requeueStale(lockedBefore) {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running' && job.lockedAt < lockedBefore) {
+        Object.assign(job, { status: 'queued', lockedAt: null, lockedBy: null });
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+/**
+ * Job Queue
+ * Persistent queue with polling workers, retries with exponential backoff and progress reporting.
+ * Handlers are registered per job type and receive (job, { reportProgress }); their return
+ * value is stored as the job result. Throw an error with `retryable = false` to fail a job
+ * without further attempts.
+ */
+export class JobQueue {
+  constructor({
+    store,
+    concurrency = DEFAULT_CONCURRENCY,
+    pollInterval = DEFAULT_POLL_INTERVAL_MS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    lockTimeoutMs = LOCK_TIMEOUT_MS,
+  }) {
+    this.store = store;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.retryBaseMs = retryBaseMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.started = false;
+    this.lastStaleCheck = 0;
+  }
+
+  /**
+   * Register the handler for a job type
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} options - { userId, payload, maxAttempts, runAt, progress }; progress is
+   *   the initial value shown while the job is queued
+   * @returns {Object} The stored job
+   */
+  async enqueue(type, options = {}) {
+    const job = await this.store.insert(this.buildJob(type, options));
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Add a job unless the user already has a queued or running job of the same type
+   * Safe against concurrent calls (see the stores' insertUnique).
+   * @param {string} type - Registered job type
+   * @param {Object} options - As for enqueue
+   * @returns {Object} { job, created }; job is the existing one when created is false
+   */
+  async enqueueUnique(type, options = {}) {
+    const result = await this.store.insertUnique(this.buildJob(type, options));
+    if (result.created) {
+      this.wake();
+    }
+    return result;
+  }
+
+  buildJob(type, {
+    userId = null,
+    payload = {},
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    runAt = new Date(),
+    progress = null,
+  }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    return {
+      type,
+      userId,
+      payload,
+      maxAttempts,
+      runAt,
+      // Prisma rejects a plain null for Json columns
+      ...(progress && { progress }),
+    };
+  }
+
+  /**
+   * Queued or running job of a type for a user, if any
+   */
+  async findActive(userId, type) {
+    return this.store.findActive({ userId, type });
+  }
+
+  async getJob(id) {
+    return this.store.findById(id);
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    console.log(`Job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   */
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running]);
+  }
+
+  /**
+   * Poll right away (after an enqueue) instead of waiting for the next tick
+   */
+  wake() {
+    if (this.started) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+    // Don't keep scripts alive just for polling
+    this.timer.unref?.();
+  }
+
+  async poll() {
+    try {
+      if (Date.now() - this.lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+        this.lastStaleCheck = Date.now();
+        const requeued = await this.store.requeueStale(new Date(Date.now() - this.lockTimeoutMs));
+        if (requeued > 0) {
+          console.warn(`Re-queued ${requeued} stale jobs`);
+        }
+      }
+
+      while (this.started && this.running.size < this.concurrency) {
+        const job = await this.store.claim(this.workerId);
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.running.delete(run);
+          this.wake();
+        });
+        this.running.add(run);
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error.message);
+    }
+
+    if (this.started) {
+      this.schedule(this.pollInterval);
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const reportProgress = progress =>
+      this.store.update(job.id, { progress, lockedAt: new Date() }).catch(error => {
+        console.warn(`Could not save progress for job ${job.id}:`, error.message);
+      });
+    // Keeps the lock fresh while a handler runs without reporting progress
+    const heartbeat = setInterval(() => {
+      this.store.update(job.id, { lockedAt: new Date() }).catch(error => {
+        console.warn(`Could not refresh the lock of job ${job.id}:`, error.message);
+      });
+    }, this.lockTimeoutMs / 3);
+    heartbeat.unref?.();
+
+    let result;
+    try {
+      if (!handler) {
+        throw Object.assign(new Error(`No handler registered for job type ${job.type}`), { retryable: false });
+      }
+
+      result = await handler(job, { reportProgress });
+    } catch (error) {
+      clearInterval(heartbeat);
+      const retry = error.retryable !== false && job.attempts < job.maxAttempts;
+      const delay = this.retryBaseMs * 2 ** (job.attempts - 1);
+
+      await this.store.update(job.id, {
+        status: retry ? 'queued' : 'failed',
+        error: error.message,
+        lockedAt: null,
+        lockedBy: null,
+        ...(retry ? { runAt: new Date(Date.now() + delay) } : { finishedAt: new Date() }),
+      }).catch(updateError => {
+        console.error(`Could not record failure of job ${job.id}:`, updateError.message);
+      });
+
+      console.error(
+        `Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`,
+        error.message,
+        retry ? `- retrying in ${Math.round(delay / 1000)}s` : ''
+      );
+      return;
+    }
+
+    // Outside the handler's try: the job succeeded, a failed write here must not retry it
+    clearInterval(heartbeat);
+    await this.store.update(job.id, {
+      status: 'completed',
+      // Prisma rejects a plain null for Json columns
+      ...(result != null && { result }),
+      error: null,
+      lockedAt: null,
+      lockedBy: null,
+      finishedAt: new Date(),
+    }).catch(error => {
+      console.error(`Could not record completion of job ${job.id}:`, error.message);
+    });
+    console.log(`Job ${job.id} (${job.type}) completed`);
+  }
+}
+
+/**
+ * Store used by the app's queue: Postgres unless JOB_QUEUE_DRIVER=memory
+ */
+function createStore() {
+  return process.env.JOB_QUEUE_DRIVER === 'memory' ? new MemoryJobStore() : new PrismaJobStore();
+}
+
+export const jobQueue = new JobQueue({ store: createStore() });
@@ -0,0 +1,174 @@
+import { PrismaClient } from '@prisma/client';
+import { AnalysisService, RECENTLY_PLAYED_LIMIT } from './analysisService.js';
+
+const prisma = new PrismaClient();
+
+const MIN_INTERVAL_MINUTES = parseInt(process.env.POLL_MIN_INTERVAL_MINUTES) || 15;
+const MAX_INTERVAL_MINUTES = parseInt(process.env.POLL_MAX_INTERVAL_MINUTES) || 60;
+// Aim for polls that come back half full, leaving headroom for listening bursts
+const TARGET_PLAYS_PER_POLL = RECENTLY_PLAYED_LIMIT / 2;
+// Weight of the latest observation in the smoothed play rate
+const RATE_SMOOTHING = 0.5;
+// Users scheduled per tick
+const SCHEDULE_BATCH_SIZE = 100;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Poll interval for a play rate: frequent for heavy listeners, hourly for idle users
+ * @param {number} playRate - Plays per hour
+ * @param {boolean} gapDetected - The last poll came back full
+ * @returns {number} Minutes until the next poll
+ */
+export function getPollInterval(playRate, gapDetected = false) {
+  if (gapDetected) {
+    return MIN_INTERVAL_MINUTES;
+  }
+  if (!playRate || playRate <= 0) {
+    return MAX_INTERVAL_MINUTES;
+  }
+
+  const minutes = Math.round((TARGET_PLAYS_PER_POLL / playRate) * 60);
+  return Math.min(Math.max(minutes, MIN_INTERVAL_MINUTES), MAX_INTERVAL_MINUTES);
+}
+
+/**
+ * Next poll time with ±10% jitter so users polled together drift apart
+ */
+function getNextPollAt(intervalMinutes, now = new Date()) {
+  const jitter = 0.9 + Math.random() * 0.2;
+  return new Date(now.getTime() + intervalMinutes * MINUTE_MS * jitter);
+}
+
+/**
+ * Recently Played Poller
+ * Spotify only keeps the last 50 plays, so each connected user is polled on their own
+ * schedule (see getPollInterval). schedulePolls runs every minute and queues poll_recent
+ * jobs for users that are due; pollUser runs inside those jobs.
+ */
+export class RecentlyPlayedPoller {
+  /**
+   * Queue polls for users whose next poll is due
+   * @param {Function} enqueue - async (userId) => void, queues the poll job
+   * @returns {Object} { seeded, queued }
+   */
+  async schedulePolls(enqueue, now = new Date()) {
+    // Connected users without a poll state yet get a first poll spread over the shortest interval
+    const newUsers = await prisma.user.findMany({
+      where: { refreshToken: { not: null }, spotifyDisconnectedAt: null, pollState: null },
+      select: { id: true },
+      take: SCHEDULE_BATCH_SIZE,
+    });
+    if (newUsers.length > 0) {
+      await prisma.pollState.createMany({
+        data: newUsers.map(user => ({
+          userId: user.id,
+          nextPollAt: new Date(now.getTime() + Math.random() * MIN_INTERVAL_MINUTES * MINUTE_MS),
+        })),
+        skipDuplicates: true,
+      });
+    }
+
+    const due = await prisma.pollState.findMany({
+      where: { nextPollAt: { lte: now }, User: { refreshToken: { not: null }, spotifyDisconnectedAt: null } },
+      orderBy: { nextPollAt: 'asc' },
+      take: SCHEDULE_BATCH_SIZE,
+    });
+
+    let queued = 0;
+    for (const state of due) {
+      try {
+        // Push the next poll out now so a failed or slow job isn't queued again every tick
+        await prisma.pollState.update({
+          where: { userId: state.userId },
+          data: { nextPollAt: getNextPollAt(state.intervalMinutes, now) },
+        });
+        await enqueue(state.userId);
+        queued++;
+      } catch (error) {
+        console.error(`Error scheduling recently-played poll for user ${state.userId}:`, error.message);
+      }
+    }
+
+    return { seeded: newUsers.length, queued };
+  }
+
+  /**
+   * Fetch new plays for a user and reschedule their next poll
+   * A poll that returns a full page after a known cursor means more plays happened since the
+   * last poll than Spotify keeps, so the window between cursor and oldest returned play is flagged.
+   * @returns {Object} { fetched, saved, intervalMinutes, playRate, gapDetected }
+   */
+  async pollUser(user) {
+    const now = new Date();
+    const state = await prisma.pollState.findUnique({ where: { userId: user.id } });
+
+    const result = await new AnalysisService(user, { priority: 'background' }).syncRecentlyPlayed();
+
+    const gapDetected = result.after !== null && result.total >= RECENTLY_PLAYED_LIMIT;
+
+    let playRate = state?.playRate || 0;
+    if (state?.lastPolledAt) {
+      const elapsedHours = Math.max((now - state.lastPolledAt) / HOUR_MS, 1 / 60);
+      playRate = RATE_SMOOTHING * (result.total / elapsedHours) + (1 - RATE_SMOOTHING) * playRate;
+    }
+
+    const intervalMinutes = getPollInterval(playRate, gapDetected);
+    const schedule = {
+      lastPolledAt: now,
+      nextPollAt: getNextPollAt(intervalMinutes, now),
+      intervalMinutes,
+      playRate,
+      ...(gapDetected && {
+        gapCount: { increment: 1 },
+        lastGapAt: now,
+        lastGapStart: result.after,
+        lastGapEnd: result.oldestPlayedAt,
+      }),
+    };
+
+    await prisma.pollState.upsert({
+      where: { userId: user.id },
+      create: { userId: user.id, ...schedule, gapCount: gapDetected ? 1 : 0 },
+      update: schedule,
+    });
+
+    if (gapDetected) {
+      console.warn(
+        `Recently-played poll for user ${user.id} came back full, plays between ` +
+        `${result.after.toISOString()} and ${result.oldestPlayedAt.toISOString()} may be missing`
+      );
+    }
+
+    return {
+      fetched: result.total,
+      saved: result.synced,
+      intervalMinutes,
+      playRate: Math.round(playRate * 10) / 10,
+      gapDetected,
+    };
+  }
+
+  /**
+   * Polling state for a user, or null before the first poll
+   */
+  async getPollState(userId) {
+    const state = await prisma.pollState.findUnique({ where: { userId } });
+    if (!state) {
+      return null;
+    }
+
+    return {
+      lastPolledAt: state.lastPolledAt,
+      nextPollAt: state.nextPollAt,
+      intervalMinutes: state.intervalMinutes,
+      playRate: Math.round(state.playRate * 10) / 10,
+      cursor: state.cursor,
+      possibleGaps: state.gapCount,
+      lastGap: state.lastGapAt
+        ? { detectedAt: state.lastGapAt, from: state.lastGapStart, to: state.lastGapEnd }
+        : null,
+    };
+  }
+}
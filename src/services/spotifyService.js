@@ -1,20 +1,75 @@
-import axios from 'axios';
 import { getValidAccessToken } from '../utils/tokenManager.js';
+import { spotifyRateLimiter } from '../utils/rateLimiter.js';
+import {
+  spotifyHttp,
+  paginateOffset,
+  paginateCursor,
+  isSpotifyId,
+  SPOTIFY_MULTI_GET_SIZE,
+} from '../utils/spotifyClient.js';
+import { catalogCache } from './catalogCache.js';
+
+/**
+ * Map a Spotify track object to the shape used across the app
+ * artists and album carry the ids needed for the Track/Artist/Album catalog
+ */
+export function mapSpotifyTrack(track = {}) {
+  // Ensure required fields are always present with fallback values
+  const artists = Array.isArray(track.artists)
+    ? track.artists.map(a => ({ id: a.id || 'unknown_id', name: a.name || 'Unknown Artist' }))
+    : [];
+
+  return {
+    trackId: track.id || 'unknown_id',
+    name: track.name || 'Unknown Track',
+    artist: artists.length > 0 ? artists.map(a => a.name).join(', ') : 'Unknown Artist',
+    artistIds: artists.map(a => a.id),
+    artists,
+    album: track.album?.id
+      ? {
+          id: track.album.id,
+          name: track.album.name || 'Unknown Album',
+          imageUrl: track.album.images?.[0]?.url || null,
+          releaseDate: track.album.release_date || null,
+        }
+      : null,
+    imageUrl: track.album?.images?.[0]?.url || null,
+    previewUrl: track.preview_url || null,
+    duration: track.duration_ms || 0,
+    popularity: track.popularity || 0,
+  };
+}
+
+/**
+ * Check if an error means the user's Spotify authorization is unusable (revoked, or still
+ * rejected after a token refresh), as opposed to a problem with one request
+ */
+export function isAuthError(error) {
+  return error?.code === 'spotify_disconnected' || error?.response?.status === 401;
+}
 
 /**
  * Spotify API Service
  * Handles all Spotify API requests with rate limiting and error handling
  */
 export class SpotifyService {
-  constructor(user) {
+  /**
+   * @param {Object} user
+   * @param {Object} options
+   * @param {'interactive'|'background'} options.priority - Rate limiter lane; app requests are
+   *   interactive, syncs and scheduled jobs run in the background lane
+   */
+  constructor(user, { priority = 'interactive' } = {}) {
     this.user = user;
+    this.priority = priority;
   }
 
   /**
    * Get authenticated request headers
+   * @param {Object} options - { forceRefresh } to replace a token Spotify rejected
    */
-  async getAuthHeaders() {
-    const accessToken = await getValidAccessToken(this.user);
+  async getAuthHeaders({ forceRefresh = false } = {}) {
+    const accessToken = await getValidAccessToken(this.user, { forceRefresh });
     return {
       'Authorization': `Bearer ${accessToken}`,
       'Content-Type': 'application/json',
@@ -22,31 +77,87 @@ export class SpotifyService {
   }
 
   /**
-   * Create axios instance with default timeout
+   * Send a request through the shared client (rate limited, retried, authenticated)
+   * @param {Object} config - axios request config; url is relative to the Web API base URL
+   * @returns {Object} The axios response
+   */
+  request(config) {
+    return this.makeRequestWithRetry(headers =>
+      spotifyHttp.request({ ...config, headers: { ...headers, ...config.headers } })
+    );
+  }
+
+  /**
+   * GET a catalog object through the cross-user catalog cache (see catalogCache)
+   * Expired entries are revalidated with If-None-Match; a 304 keeps the cached copy.
+   * @param {string} resource - Cache resource type, e.g. 'track'
+   * @param {string} id - Spotify id
+   * @param {string} url
    */
-  getAxiosInstance() {
-    return axios.create({
-      timeout: 10000, // 10 second timeout for all requests
+  getCatalogResource(resource, id, url) {
+    return catalogCache.fetch(resource, id, async etag => {
+      const response = await this.request({
+        method: 'get',
+        url,
+        headers: etag ? { 'If-None-Match': etag } : {},
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      });
+      return {
+        data: response.data,
+        etag: response.headers.etag || null,
+        notModified: response.status === 304,
+      };
     });
   }
 
+  /**
+   * GET an endpoint and return the response body
+   */
+  async get(url, params) {
+    const response = await this.request({ method: 'get', url, params });
+    return response.data;
+  }
+
+  /**
+   * Fetch pages from an offset-paginated endpoint (see paginateOffset)
+   * @param {string} url
+   * @param {Object} options - { params, offset, maxItems, getPage }
+   */
+  getAllOffsetPages(url, { params = {}, ...options } = {}) {
+    return paginateOffset(page => this.get(url, { ...params, ...page }), options);
+  }
+
+  /**
+   * Fetch pages from a cursor-paginated endpoint (see paginateCursor)
+   * @param {string} url
+   * @param {Object} options - { params, after, maxItems, getPage }
+   */
+  getAllCursorPages(url, { params = {}, ...options } = {}) {
+    return paginateCursor(page => this.get(url, { ...params, ...page }), options);
+  }
+
   /**
    * Make a request with rate limiting and exponential backoff retry
-   * @param {Function} requestFn - Function that returns a promise for the request
+   * Every attempt waits for a token from the process-wide limiter in this service's lane.
+   * @param {Function} requestFn - (headers) => promise for the request; called with fresh
+   *   auth headers on every attempt
    * @param {number} maxRetries - Maximum number of retries (default: 3)
    * @param {number} baseDelay - Base delay in milliseconds (default: 1000)
    */
   async makeRequestWithRetry(requestFn, maxRetries = 3, baseDelay = 1000) {
     let lastError;
+    let headers = await this.getAuthHeaders();
+    let refreshedAfter401 = false;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        const response = await requestFn();
+        const response = await spotifyRateLimiter.schedule(() => requestFn(headers), { priority: this.priority });
         return response;
       } catch (error) {
         lastError = error;
         
-        // Handle 429 (Too Many Requests) with exponential backoff
+        // Handle 429 (Too Many Requests): Retry-After applies to the whole app, so pause every
+        // request, then retry through the limiter
         if (error.response?.status === 429) {
           const retryAfter = error.response.headers['retry-after'];
           const delay = retryAfter 
@@ -54,19 +165,18 @@ export class SpotifyService {
             : baseDelay * Math.pow(2, attempt);
           
           console.warn(`Rate limited. Retrying after ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          spotifyRateLimiter.pause(delay);
           continue;
         }
         
-        // Handle 401 (Unauthorized) - token might be expired
-        if (error.response?.status === 401) {
-          console.warn('Token expired, refreshing...');
-          // getValidAccessToken should handle refresh automatically
-          // Retry once after a short delay
-          if (attempt < maxRetries) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-            continue;
-          }
+        // Handle 401 (Unauthorized): the access token was expired or revoked early. Force a
+        // refresh (which marks the user disconnected if Spotify rejects the refresh token) and
+        // retry once with the new token; a second 401 is a real auth failure.
+        if (error.response?.status === 401 && !refreshedAfter401 && attempt < maxRetries) {
+          console.warn('Spotify rejected the access token, refreshing...');
+          headers = await this.getAuthHeaders({ forceRefresh: true });
+          refreshedAfter401 = true;
+          continue;
         }
         
         // For other errors, don't retry
@@ -82,12 +192,7 @@ export class SpotifyService {
    * Get current user profile
    */
   async getCurrentUser() {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() => 
-      axiosInstance.get('https://api.spotify.com/v1/me', { headers })
-    );
-    return response.data;
+    return this.get('/me');
   }
 
   /**
@@ -96,42 +201,17 @@ export class SpotifyService {
    * @param {number} after - Unix timestamp in milliseconds
    */
   async getRecentlyPlayed(limit = 50, after = null) {
-    const headers = await this.getAuthHeaders();
     const params = { limit };
     if (after) {
       params.after = after;
     }
 
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/player/recently-played', {
-        headers,
-        params,
-      })
-    );
+    const data = await this.get('/me/player/recently-played', params);
 
-    return response.data.items.map(item => {
-      // Ensure required fields are always present with fallback values
-      const track = item.track || {};
-      const artistName = track.artists && Array.isArray(track.artists) 
-        ? track.artists.map(a => a.name || 'Unknown Artist').join(', ') 
-        : 'Unknown Artist';
-      const artistIds = track.artists && Array.isArray(track.artists)
-        ? track.artists.map(a => a.id || 'unknown_id')
-        : [];
-      
-      return {
-        trackId: track.id || 'unknown_id',
-        name: track.name || 'Unknown Track',
-        artist: artistName,
-        artistIds: artistIds,
-        imageUrl: track.album?.images?.[0]?.url || null,
-        previewUrl: track.preview_url || null,
-        playedAt: new Date(item.played_at),
-        duration: track.duration_ms || 0,
-        popularity: track.popularity || 0,
-      };
-    });
+    return data.items.map(item => ({
+      ...mapSpotifyTrack(item.track || {}),
+      playedAt: new Date(item.played_at),
+    }));
   }
 
   /**
@@ -140,35 +220,9 @@ export class SpotifyService {
    * @param {number} limit - Number of tracks (max 50)
    */
   async getTopTracks(timeRange = 'medium_term', limit = 50) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/top/tracks', {
-        headers,
-        params: { time_range: timeRange, limit },
-      })
-    );
+    const data = await this.get('/me/top/tracks', { time_range: timeRange, limit });
 
-    return response.data.items.map(track => {
-      // Ensure required fields are always present with fallback values
-      const artistName = track.artists && Array.isArray(track.artists) 
-        ? track.artists.map(a => a.name || 'Unknown Artist').join(', ') 
-        : 'Unknown Artist';
-      const artistIds = track.artists && Array.isArray(track.artists)
-        ? track.artists.map(a => a.id || 'unknown_id')
-        : [];
-      
-      return {
-        trackId: track.id || 'unknown_id',
-        name: track.name || 'Unknown Track',
-        artist: artistName,
-        artistIds: artistIds,
-        imageUrl: track.album?.images?.[0]?.url || null,
-        previewUrl: track.preview_url || null,
-        duration: track.duration_ms || 0,
-        popularity: track.popularity || 0,
-      };
-    });
+    return data.items.map(track => mapSpotifyTrack(track));
   }
 
   /**
@@ -177,16 +231,9 @@ export class SpotifyService {
    * @param {number} limit - Number of artists (max 50)
    */
   async getTopArtists(timeRange = 'medium_term', limit = 50) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/top/artists', {
-        headers,
-        params: { time_range: timeRange, limit },
-      })
-    );
+    const data = await this.get('/me/top/artists', { time_range: timeRange, limit });
 
-    return response.data.items.map(artist => ({
+    return data.items.map(artist => ({
       artistId: artist.id || 'unknown_id',
       name: artist.name || 'Unknown Artist',
       genres: artist.genres || [],
@@ -200,16 +247,80 @@ export class SpotifyService {
    * @param {string[]} trackIds - Array of track IDs (max 100)
    */
   async getAudioFeatures(trackIds) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/audio-features', {
-        headers,
-        params: { ids: trackIds.join(',') },
-      })
-    );
+    const data = await this.get('/audio-features', { ids: trackIds.join(',') });
+
+    return data.audio_features;
+  }
+
+  /**
+   * Get several catalog objects from a multi-get endpoint, through the catalog cache
+   * Uncached ids are requested in chunks of SPOTIFY_MULTI_GET_SIZE; a failed chunk only fails its own ids.
+   * @param {string} resource - 'track' | 'artist'
+   * @param {string[]} ids - Spotify ids (duplicates allowed)
+   * @param {string} url - Multi-get endpoint, e.g. '/tracks'
+   * @param {string} field - Response field holding the objects, e.g. 'tracks'
+   * @returns {Object[]} { id, data, error } for every input id, in input order; error is null or
+   *   { code: 'invalid_id' | 'not_found' | 'fetch_failed', message }
+   * @throws {Error} When the user's Spotify authorization failed (see isAuthError)
+   */
+  async getCatalogResources(resource, ids, url, field) {
+    const failures = new Map();
+    const validIds = ids.filter(isSpotifyId);
+
+    const found = validIds.length === 0 ? new Map() : await catalogCache.fetchMany(resource, validIds, async missing => {
+      const chunks = [];
+      for (let i = 0; i < missing.length; i += SPOTIFY_MULTI_GET_SIZE) {
+        chunks.push(missing.slice(i, i + SPOTIFY_MULTI_GET_SIZE));
+      }
+
+      // Chunks go out together; the rate limiter paces them
+      const fetched = new Map();
+      await Promise.all(chunks.map(async chunk => {
+        try {
+          const data = await this.get(url, { ids: chunk.join(',') });
+          chunk.forEach((id, index) => fetched.set(id, data[field]?.[index] || null));
+        } catch (error) {
+          // Every chunk would fail the same way, so this is the caller's error rather than the ids'
+          if (isAuthError(error)) {
+            throw error;
+          }
+          console.error(`Error fetching ${chunk.length} ${resource}s from ${url}:`, error.message);
+          chunk.forEach(id => failures.set(id, error.message));
+        }
+      }));
+      return fetched;
+    });
+
+    return ids.map(id => {
+      if (found.has(id)) {
+        return { id, data: found.get(id), error: null };
+      }
+      let error;
+      if (!isSpotifyId(id)) {
+        error = { code: 'invalid_id', message: 'Not a valid Spotify id' };
+      } else if (failures.has(id)) {
+        error = { code: 'fetch_failed', message: failures.get(id) };
+      } else {
+        error = { code: 'not_found', message: `Spotify has no ${resource} with this id` };
+      }
+      return { id, data: null, error };
+    });
+  }
 
-    return response.data.audio_features;
+  /**
+   * Get several tracks (see getCatalogResources)
+   * @param {string[]} trackIds
+   */
+  async getTracks(trackIds) {
+    return this.getCatalogResources('track', trackIds, '/tracks', 'tracks');
+  }
+
+  /**
+   * Get several artists (see getCatalogResources)
+   * @param {string[]} artistIds
+   */
+  async getArtists(artistIds) {
+    return this.getCatalogResources('artist', artistIds, '/artists', 'artists');
   }
 
   /**
@@ -217,12 +328,7 @@ export class SpotifyService {
    * @param {string} trackId
    */
   async getTrack(trackId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get(`https://api.spotify.com/v1/tracks/${trackId}`, { headers })
-    );
-    return response.data;
+    return this.getCatalogResource('track', trackId, `/tracks/${trackId}`);
   }
 
   /**
@@ -230,24 +336,17 @@ export class SpotifyService {
    * @param {string} trackId
    */
   async getAudioFeaturesForTrack(trackId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     try {
       console.log(`[DEBUG] Attempting to fetch audio features for ${trackId}`);
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get(`https://api.spotify.com/v1/audio-features/${trackId}`, { headers })
-      );
+      const audioFeatures = await this.getCatalogResource('audio_features', trackId, `/audio-features/${trackId}`);
       
-      console.log(`[DEBUG] Raw audio features response for ${trackId}:`, {
-        status: response.status,
-        statusText: response.statusText,
-        hasData: !!response.data,
-        id: response.data.id,
-        dataKeys: response.data ? Object.keys(response.data) : []
+      console.log(`[DEBUG] Audio features for ${trackId}:`, {
+        hasData: !!audioFeatures,
+        id: audioFeatures?.id,
+        dataKeys: audioFeatures ? Object.keys(audioFeatures) : []
       });
       
-      return response.data;
+      return audioFeatures;
     } catch (error) {
       console.error(`[ERROR] Error fetching audio features for track ${trackId}:`, error.message);
       console.error(`[ERROR] Error details:`, {
@@ -264,23 +363,16 @@ export class SpotifyService {
    * @param {string} trackId
    */
   async getAudioAnalysis(trackId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     try {
       console.log(`[DEBUG] Attempting to fetch audio analysis for ${trackId}`);
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get(`https://api.spotify.com/v1/audio-analysis/${trackId}`, { headers })
-      );
+      const audioAnalysis = await this.getCatalogResource('audio_analysis', trackId, `/audio-analysis/${trackId}`);
       
-      console.log(`[DEBUG] Raw audio analysis response for ${trackId}:`, {
-        status: response.status,
-        statusText: response.statusText,
-        hasData: !!response.data,
-        dataKeys: response.data ? Object.keys(response.data) : []
+      console.log(`[DEBUG] Audio analysis for ${trackId}:`, {
+        hasData: !!audioAnalysis,
+        dataKeys: audioAnalysis ? Object.keys(audioAnalysis) : []
       });
       
-      return response.data;
+      return audioAnalysis;
     } catch (error) {
       console.error(`[ERROR] Error fetching audio analysis for track ${trackId}:`, error.message);
       console.error(`[ERROR] Error details:`, {
@@ -299,16 +391,9 @@ export class SpotifyService {
    * @param {number} offset - The index of the first track to return
    */
   async getAlbumTracks(albumId, limit = 50, offset = 0) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get(`https://api.spotify.com/v1/albums/${albumId}/tracks`, {
-        headers,
-        params: { limit, offset }
-      })
-    );
+    const data = await this.get(`/albums/${albumId}/tracks`, { limit, offset });
 
-    return response.data.items.map(track => ({
+    return data.items.map(track => ({
       trackId: track.id,
       name: track.name,
       discNumber: track.disc_number,
@@ -325,30 +410,21 @@ export class SpotifyService {
    * @param {string} artistId
    */
   async getArtist(artistId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get(`https://api.spotify.com/v1/artists/${artistId}`, { headers })
-    );
-    return response.data;
+    return this.getCatalogResource('artist', artistId, `/artists/${artistId}`);
   }
 
   /**
    * Get user's playlists
    * @param {number} limit - Number of playlists (max 50)
    * @param {number} offset - Offset for pagination
+   * @param {Object} options - { all, maxItems }: fetch every page from offset on, up to maxItems
    */
-  async getPlaylists(limit = 50, offset = 0) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/playlists', {
-        headers,
-        params: { limit, offset },
-      })
-    );
+  async getPlaylists(limit = 50, offset = 0, { all = false, maxItems } = {}) {
+    const items = all
+      ? await this.getAllOffsetPages('/me/playlists', { offset, maxItems })
+      : (await this.get('/me/playlists', { limit, offset })).items;
 
-    return response.data.items.map(playlist => ({
+    return items.map(playlist => ({
       playlistId: playlist.id,
       name: playlist.name,
       description: playlist.description,
@@ -364,7 +440,7 @@ export class SpotifyService {
    * This returns the user's playlists sorted by follower count
    */
   async getTopPlaylists(limit = 20) {
-    const playlists = await this.getPlaylists(50, 0);
+    const playlists = await this.getPlaylists(50, 0, { all: true, maxItems: 200 });
     // Sort by follower count if available, otherwise by tracks count
     return playlists
       .sort((a, b) => (b.tracksCount || 0) - (a.tracksCount || 0))
@@ -376,14 +452,9 @@ export class SpotifyService {
    * @param {string} artistId - Spotify artist ID
    */
   async getRelatedArtists(artistId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     try {
       console.log(`[DEBUG] Attempting to fetch related artists for ${artistId}`);
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get(`https://api.spotify.com/v1/artists/${artistId}/related-artists`, { headers })
-      );
+      const response = await this.request({ method: 'get', url: `/artists/${artistId}/related-artists` });
       
       console.log(`[DEBUG] Raw related artists response for ${artistId}:`, {
         status: response.status,
@@ -435,16 +506,8 @@ export class SpotifyService {
    * @param {string} market - Optional market/territory (e.g. 'US', 'GB')
    */
   async getArtistTopTracks(artistId, market = 'US') {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     try {
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get(`https://api.spotify.com/v1/artists/${artistId}/top-tracks`, {
-          headers,
-          params: { market },
-        })
-      );
+      const response = await this.request({ method: 'get', url: `/artists/${artistId}/top-tracks`, params: { market } });
       
       // Log the raw response for debugging
       console.log(`[DEBUG] Artist top tracks response for ${artistId}:`, {
@@ -490,20 +553,16 @@ export class SpotifyService {
    * @param {string} market - Optional market/territory (e.g. 'US', 'GB')
    */
   async getArtistAlbums(artistId, includeGroups = 'album,single', market = 'US') {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     try {
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get(`https://api.spotify.com/v1/artists/${artistId}/albums`, {
-          headers,
-          params: { 
-            include_groups: includeGroups,
-            market: market,
-            limit: 50 // Max limit for this endpoint
-          },
-        })
-      );
+      const response = await this.request({
+        method: 'get',
+        url: `/artists/${artistId}/albums`,
+        params: { 
+          include_groups: includeGroups,
+          market: market,
+          limit: 50 // Max limit for this endpoint
+        },
+      });
       
       // Log the raw response for debugging
       console.log(`[DEBUG] Artist albums response for ${artistId}:`, {
@@ -549,19 +608,13 @@ export class SpotifyService {
    * @param {string} artistId - Spotify artist ID
    */
   async followArtist(artistId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
     // Note: For following artists, we need to send the artist IDs in the request body
-    await this.makeRequestWithRetry(() =>
-      axiosInstance.put(`https://api.spotify.com/v1/me/following`, 
-        { ids: [artistId] },
-        { 
-          headers,
-          params: { type: 'artist' }
-        }
-      )
-    );
+    await this.request({
+      method: 'put',
+      url: '/me/following',
+      params: { type: 'artist' },
+      data: { ids: [artistId] },
+    });
     
     return { success: true };
   }
@@ -571,17 +624,11 @@ export class SpotifyService {
    * @param {string} artistId - Spotify artist ID
    */
   async unfollowArtist(artistId) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
-    await this.makeRequestWithRetry(() =>
-      axiosInstance.delete(`https://api.spotify.com/v1/me/following`, 
-        { 
-          headers,
-          params: { type: 'artist', ids: artistId }
-        }
-      )
-    );
+    await this.request({
+      method: 'delete',
+      url: '/me/following',
+      params: { type: 'artist', ids: artistId },
+    });
     
     return { success: true };
   }
@@ -590,55 +637,42 @@ export class SpotifyService {
    * Get user's followed artists
    * @param {number} limit - Number of artists to return (max 50)
    * @param {number} after - The last artist ID retrieved in the previous request
+   * @param {Object} options - { all, maxItems }: follow the cursor through every page, up to maxItems
    */
-  async getUserFollowedArtists(limit = 50, after = null) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
+  async getUserFollowedArtists(limit = 50, after = null, { all = false, maxItems } = {}) {
     const params = { type: 'artist', limit };
     if (after) {
       params.after = after;
     }
     
     try {
-      console.log('[DEBUG] getUserFollowedArtists - Request params:', params);
-      console.log('[DEBUG] getUserFollowedArtists - About to make request to Spotify');
+      console.log('[DEBUG] getUserFollowedArtists - Request params:', { ...params, all });
       
-      const response = await this.makeRequestWithRetry(() =>
-        axiosInstance.get('https://api.spotify.com/v1/me/following', {
-          headers,
-          params
-        })
-      );
-
-      // Debug log to see the actual response structure
-      console.log('[DEBUG] getUserFollowedArtists response:', {
-        status: response.status,
-        statusText: response.statusText,
-        hasData: !!response.data,
-        dataKeys: response.data ? Object.keys(response.data) : [],
-        hasArtists: !!response.data?.artists,
-        artistsKeys: response.data?.artists ? Object.keys(response.data.artists) : [],
-        artistsItemsCount: response.data?.artists?.items ? response.data.artists.items.length : 0
-      });
-
-      // Log the actual artists items if they exist
-      if (response.data?.artists?.items) {
-        console.log('[DEBUG] First few artists returned:', response.data.artists.items.slice(0, 3));
-      }
+      let items;
+      if (all) {
+        items = await this.getAllCursorPages('/me/following', {
+          params: { type: 'artist' },
+          after,
+          maxItems,
+          getPage: data => data?.artists,
+        });
+      } else {
+        const data = await this.get('/me/following', params);
 
-      // Check if response has the expected structure
-      if (!response.data || !response.data.artists || !response.data.artists.items) {
-        console.error('[ERROR] Unexpected response structure from Spotify API:', response.data);
-        // If response contains error information, return empty array
-        if (response.data && response.data.error) {
-          console.error('[ERROR] Spotify API error:', response.data.error);
+        // Check if response has the expected structure
+        if (!data?.artists?.items) {
+          console.error('[ERROR] Unexpected response structure from Spotify API:', data);
+          // If response contains error information, return empty array
+          if (data?.error) {
+            console.error('[ERROR] Spotify API error:', data.error);
+          }
+          return []; // Return empty array instead of throwing error
         }
-        return []; // Return empty array instead of throwing error
+        items = data.artists.items;
       }
 
       // Format response to match our standard format
-      const artists = response.data.artists.items.map(artist => ({
+      const artists = items.map(artist => ({
         artistId: artist.id || 'unknown_id',
         name: artist.name || 'Unknown Artist',
         genres: artist.genres || [],
@@ -669,38 +703,26 @@ export class SpotifyService {
    * @param {string} artistIds - Array of Spotify artist IDs
    */
   async checkUserFollowingArtists(artistIds) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get(`https://api.spotify.com/v1/me/following/contains`, {
-        headers,
-        params: { 
-          type: 'artist',
-          ids: artistIds.join(',')
-        },
-      })
-    );
-    
-    return response.data; // Returns array of booleans in same order as input IDs
+    // Returns array of booleans in same order as input IDs
+    return this.get('/me/following/contains', {
+      type: 'artist',
+      ids: artistIds.join(','),
+    });
   }
   
   /**
    * Get user's saved tracks (liked/favorited tracks)
    * @param {number} limit - Number of tracks to return (max 50)
    * @param {number} offset - The index of the first track to return
+   * @param {Object} options - { all, maxItems }: fetch every page from offset on, up to maxItems
    */
-  async getUserSavedTracks(limit = 50, offset = 0) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/tracks', {
-        headers,
-        params: { limit, offset }
-      })
-    );
+  async getUserSavedTracks(limit = 50, offset = 0, { all = false, maxItems } = {}) {
+    const items = all
+      ? await this.getAllOffsetPages('/me/tracks', { offset, maxItems })
+      : (await this.get('/me/tracks', { limit, offset })).items;
 
     // Format response to match our standard format
-    return response.data.items.map(item => {
+    return items.map(item => {
       const track = item.track || {};
       const artistName = track.artists && Array.isArray(track.artists) 
         ? track.artists.map(a => a.name || 'Unknown Artist').join(', ') 
@@ -728,18 +750,8 @@ export class SpotifyService {
    * @param {string[]} trackIds - Array of Spotify track IDs
    */
   async checkUserSavedTracks(trackIds) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    const response = await this.makeRequestWithRetry(() =>
-      axiosInstance.get('https://api.spotify.com/v1/me/tracks/contains', {
-        headers,
-        params: { 
-          ids: trackIds.join(',')
-        },
-      })
-    );
-    
-    return response.data; // Returns array of booleans in same order as input IDs
+    // Returns array of booleans in same order as input IDs
+    return this.get('/me/tracks/contains', { ids: trackIds.join(',') });
   }
   
   /**
@@ -747,15 +759,7 @@ export class SpotifyService {
    * @param {string[]} trackIds - Array of Spotify track IDs to save
    */
   async saveTracks(trackIds) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
-    await this.makeRequestWithRetry(() =>
-      axiosInstance.put('https://api.spotify.com/v1/me/tracks', 
-        { ids: trackIds },
-        { headers }
-      )
-    );
+    await this.request({ method: 'put', url: '/me/tracks', data: { ids: trackIds } });
     
     return { success: true };
   }
@@ -765,17 +769,7 @@ export class SpotifyService {
    * @param {string[]} trackIds - Array of Spotify track IDs to remove
    */
   async removeTracks(trackIds) {
-    const headers = await this.getAuthHeaders();
-    const axiosInstance = this.getAxiosInstance();
-    
-    await this.makeRequestWithRetry(() =>
-      axiosInstance.delete('https://api.spotify.com/v1/me/tracks', 
-        { 
-          headers,
-          data: { ids: trackIds }
-        }
-      )
-    );
+    await this.request({ method: 'delete', url: '/me/tracks', data: { ids: trackIds } });
     
     return { success: true };
   }
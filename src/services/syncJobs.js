@@ -0,0 +1,123 @@
+import { PrismaClient } from '@prisma/client';
+import { AnalysisService } from './analysisService.js';
+import { RecentlyPlayedPoller } from './recentlyPlayedPoller.js';
+import { AudioFeatureBackfill } from './audioFeatureBackfill.js';
+import { jobQueue, serializeJob } from './jobQueue.js';
+
+const prisma = new PrismaClient();
+const poller = new RecentlyPlayedPoller();
+
+/**
+ * Sync job types
+ *  - sync_playback: full sync (recently played, top lists, chart snapshots, music profile)
+ *  - sync_recent: recently played plays and top artist metadata only
+ *  - backfill_audio_features: audio features for every played track that has none yet
+ *    (also queued after each sync_playback)
+ * (poll_recent jobs are queued by the scheduler only, see scheduleRecentlyPlayedPolls)
+ */
+export const SYNC_JOB_TYPES = ['sync_playback', 'sync_recent', 'backfill_audio_features'];
+
+// Scheduled recently-played poll; not retried, the next scheduled poll catches up instead
+const POLL_JOB_TYPE = 'poll_recent';
+
+/**
+ * Load the job's user; jobs for users that no longer exist or revoked Spotify access
+ * fail without retries
+ */
+async function loadJobUser(job) {
+  const user = job.userId ? await prisma.user.findUnique({ where: { id: job.userId } }) : null;
+  if (!user) {
+    throw Object.assign(new Error(`User ${job.userId} not found`), { retryable: false });
+  }
+  if (user.spotifyDisconnectedAt) {
+    throw Object.assign(new Error('Spotify access was revoked, please log in again'), { retryable: false });
+  }
+  return user;
+}
+
+async function runPlaybackSync(job, { reportProgress }) {
+  const user = await loadJobUser(job);
+  const analysisService = new AnalysisService(user, { priority: 'background' });
+  const result = await analysisService.syncUserPlayback(job.payload?.timeRange || 'medium_term', {
+    onProgress: reportProgress,
+  });
+
+  // New plays since the last sync usually include tracks without audio features
+  await enqueueSync(user.id, 'backfill_audio_features').catch(error => {
+    console.warn(`Could not queue audio feature backfill for user ${user.id}:`, error.message);
+  });
+
+  return {
+    recent: result.recent.synced,
+    tracks: result.tracks.synced,
+    artists: result.artists.synced,
+  };
+}
+
+async function runRecentSync(job, { reportProgress }) {
+  const user = await loadJobUser(job);
+  const analysisService = new AnalysisService(user, { priority: 'background' });
+
+  const tracks = await analysisService.syncRecentlyPlayed();
+  await reportProgress({ step: 'recently_played', completedSteps: 1, totalSteps: 2 });
+  const artists = await analysisService.syncTopArtists();
+  await reportProgress({ step: 'top_artists', completedSteps: 2, totalSteps: 2 });
+
+  return { tracks, artists };
+}
+
+async function runAudioFeatureBackfill(job, { reportProgress }) {
+  const user = await loadJobUser(job);
+  const result = await new AudioFeatureBackfill(user).run({ onProgress: reportProgress });
+
+  // The profile's average energy / valence are weighted over the backfilled tracks
+  if (result.withFeatures > 0) {
+    await new AnalysisService(user, { priority: 'background' }).buildMusicProfile();
+  }
+
+  return result;
+}
+
+async function runRecentlyPlayedPoll(job) {
+  return poller.pollUser(await loadJobUser(job));
+}
+
+jobQueue.register('sync_playback', runPlaybackSync);
+jobQueue.register('sync_recent', runRecentSync);
+jobQueue.register('backfill_audio_features', runAudioFeatureBackfill);
+jobQueue.register(POLL_JOB_TYPE, runRecentlyPlayedPoll);
+
+/**
+ * Queue a sync for a user, reusing a queued or running job of the same type
+ * @param {string} userId
+ * @param {string} type - One of SYNC_JOB_TYPES
+ * @param {Object} payload - e.g. { timeRange } for sync_playback
+ * @param {Object} options - Job options such as maxAttempts
+ * @returns {Object} { job, created }
+ */
+export async function enqueueSync(userId, type = 'sync_playback', payload = {}, options = {}) {
+  return jobQueue.enqueueUnique(type, { userId, payload, ...options });
+}
+
+/**
+ * Queue recently-played polls for every user that is due (run every minute)
+ */
+export async function scheduleRecentlyPlayedPolls() {
+  try {
+    const { seeded, queued } = await poller.schedulePolls(userId =>
+      enqueueSync(userId, POLL_JOB_TYPE, {}, { maxAttempts: 1 })
+    );
+    if (seeded > 0 || queued > 0) {
+      console.log(`Recently-played polling: queued ${queued} polls, scheduled ${seeded} new users`);
+    }
+  } catch (error) {
+    console.error('Error scheduling recently-played polls:', error.message);
+  }
+}
+
+/**
+ * Response body for a queued sync: the job plus where to poll it
+ */
+export function describeQueuedSync({ job, created }) {
+  return { ...serializeJob(job), created, statusUrl: `/api/sync/jobs/${job.id}` };
+}
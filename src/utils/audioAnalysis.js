@@ -0,0 +1,174 @@
+// Spotify pitch classes, indexed by the key / pitches position in audio analysis
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Points in the loudness curve
+export const DEFAULT_RESOLUTION = 100;
+export const MIN_RESOLUTION = 10;
+export const MAX_RESOLUTION = 1000;
+
+function round(value, decimals = 3) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function keyName(key) {
+  return key >= 0 && key < PITCH_CLASSES.length ? PITCH_CLASSES[key] : null;
+}
+
+function modeName(mode) {
+  if (mode === 1) return 'major';
+  if (mode === 0) return 'minor';
+  return null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Loudness curve: the track split into `resolution` equal windows, each the duration-weighted
+ * mean of the peak loudness (dB) of the segments overlapping it
+ */
+function summarizeLoudness(segments, duration, resolution) {
+  const interval = duration / resolution;
+  const sums = new Array(resolution).fill(0);
+  const weights = new Array(resolution).fill(0);
+
+  for (const segment of segments) {
+    const start = segment.start;
+    const end = segment.start + segment.duration;
+    const first = Math.max(Math.floor(start / interval), 0);
+    const last = Math.min(Math.ceil(end / interval), resolution);
+    for (let i = first; i < last; i++) {
+      const overlap = Math.min(end, (i + 1) * interval) - Math.max(start, i * interval);
+      if (overlap > 0) {
+        sums[i] += segment.loudness_max * overlap;
+        weights[i] += overlap;
+      }
+    }
+  }
+
+  // Windows without segments (trailing silence) repeat the previous value
+  let previous = null;
+  const points = sums.map((sum, i) => {
+    if (weights[i] > 0) {
+      previous = round(sum / weights[i], 1);
+    }
+    return previous;
+  });
+
+  return { interval: round(interval), points };
+}
+
+/**
+ * Spacing of one beat-grid level (beats, bars or tatums)
+ */
+function summarizeGrid(intervals) {
+  const durations = intervals.map(interval => interval.duration).filter(duration => duration > 0);
+  if (durations.length === 0) {
+    return { count: intervals.length, medianInterval: null, regularity: null };
+  }
+
+  const mean = durations.reduce((total, duration) => total + duration, 0) / durations.length;
+  const variance = durations.reduce((total, duration) => total + (duration - mean) ** 2, 0) / durations.length;
+
+  return {
+    count: intervals.length,
+    medianInterval: round(median(durations)),
+    // 1 for a perfectly even grid, lower as spacing varies (1 - coefficient of variation)
+    regularity: round(Math.max(0, 1 - Math.sqrt(variance) / mean)),
+  };
+}
+
+/**
+ * Duration-weighted average pitch and timbre vectors over all segments
+ */
+function summarizeTimbre(segments) {
+  const pitches = new Array(12).fill(0);
+  const timbre = new Array(12).fill(0);
+  let totalDuration = 0;
+
+  for (const segment of segments) {
+    if (!Array.isArray(segment.pitches) || !Array.isArray(segment.timbre)) continue;
+    for (let i = 0; i < 12; i++) {
+      pitches[i] += (segment.pitches[i] || 0) * segment.duration;
+      timbre[i] += (segment.timbre[i] || 0) * segment.duration;
+    }
+    totalDuration += segment.duration;
+  }
+
+  if (totalDuration === 0) {
+    return { pitches: null, dominantPitch: null, timbre: null };
+  }
+
+  const pitchProfile = Object.fromEntries(PITCH_CLASSES.map((name, i) => [name, round(pitches[i] / totalDuration)]));
+  const dominant = pitches.indexOf(Math.max(...pitches));
+
+  return {
+    pitches: pitchProfile,
+    dominantPitch: PITCH_CLASSES[dominant],
+    timbre: timbre.map(value => round(value / totalDuration, 2)),
+  };
+}
+
+/**
+ * Compact summary of a Spotify audio analysis for clients
+ * The raw analysis has one entry per segment (often thousands) plus every beat, bar and tatum;
+ * this keeps a downsampled loudness curve, the sections and aggregate beat-grid and pitch/timbre
+ * statistics, a few KB regardless of track length.
+ * @param {Object} analysis - Response of /audio-analysis/{id}
+ * @param {Object} options - { resolution }: points in the loudness curve
+ */
+export function summarizeAudioAnalysis(analysis, { resolution = DEFAULT_RESOLUTION } = {}) {
+  const track = analysis.track || {};
+  const segments = analysis.segments || [];
+  const beats = analysis.beats || [];
+  const bars = analysis.bars || [];
+  const tatums = analysis.tatums || [];
+
+  const lastSegment = segments[segments.length - 1];
+  const duration = track.duration || (lastSegment ? lastSegment.start + lastSegment.duration : 0);
+
+  const beatGrid = summarizeGrid(beats);
+
+  return {
+    track: {
+      duration: round(duration),
+      tempo: round(track.tempo),
+      key: keyName(track.key),
+      mode: modeName(track.mode),
+      timeSignature: track.time_signature ?? null,
+      loudness: round(track.loudness, 1),
+    },
+    loudness: duration > 0
+      ? summarizeLoudness(segments, duration, resolution)
+      : { interval: null, points: [] },
+    sections: (analysis.sections || []).map(section => ({
+      start: round(section.start),
+      duration: round(section.duration),
+      loudness: round(section.loudness, 1),
+      tempo: round(section.tempo),
+      key: keyName(section.key),
+      mode: modeName(section.mode),
+      timeSignature: section.time_signature ?? null,
+      confidence: round(section.confidence),
+    })),
+    beatGrid: {
+      beats: beatGrid,
+      bars: summarizeGrid(bars),
+      tatums: summarizeGrid(tatums),
+      // Tempo implied by the beat spacing (the track-level tempo is Spotify's estimate)
+      tempo: beatGrid.medianInterval ? round(60 / beatGrid.medianInterval, 1) : null,
+      beatsPerBar: bars.length > 0 ? round(beats.length / bars.length, 1) : null,
+      tatumsPerBeat: beats.length > 0 ? round(tatums.length / beats.length, 1) : null,
+    },
+    profile: summarizeTimbre(segments),
+    segmentCount: segments.length,
+  };
+}
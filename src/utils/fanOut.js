@@ -0,0 +1,57 @@
+/**
+ * Run named async tasks concurrently, each starting as soon as the tasks it depends on succeed
+ * A task whose dependency failed or was skipped is skipped itself, so one failure never takes
+ * down unrelated work. Dependencies must not form a cycle.
+ * @param {Object} tasks - name -> { deps, when, run }
+ *   - deps: names of tasks whose data run() needs (default: none)
+ *   - when: (results) => boolean; the task is skipped when it returns false (e.g. no album id)
+ *   - run: async (results) => data; results maps each dependency name to its data
+ * @returns {Object} name -> { status: 'ok' | 'error' | 'skipped', data, error, reason, durationMs }
+ */
+export async function fanOut(tasks) {
+  for (const [name, task] of Object.entries(tasks)) {
+    const unknown = (task.deps || []).find(dep => !tasks[dep]);
+    if (unknown) {
+      throw new Error(`Task ${name} depends on unknown task ${unknown}`);
+    }
+  }
+
+  const outcomes = {};
+  const running = {};
+
+  const start = name => {
+    if (running[name]) {
+      return running[name];
+    }
+
+    running[name] = (async () => {
+      const { deps = [], when, run } = tasks[name];
+      await Promise.all(deps.map(start));
+
+      const blockedBy = deps.find(dep => outcomes[dep].status !== 'ok');
+      if (blockedBy) {
+        outcomes[name] = { status: 'skipped', reason: `${blockedBy} ${outcomes[blockedBy].status}`, durationMs: 0 };
+        return;
+      }
+
+      const results = Object.fromEntries(deps.map(dep => [dep, outcomes[dep].data]));
+      if (when && !when(results)) {
+        outcomes[name] = { status: 'skipped', reason: 'not applicable', durationMs: 0 };
+        return;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const data = await run(results);
+        outcomes[name] = { status: 'ok', data, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        outcomes[name] = { status: 'error', error, durationMs: Date.now() - startedAt };
+      }
+    })();
+    return running[name];
+  };
+
+  await Promise.all(Object.keys(tasks).map(start));
+  // Report in task order rather than completion order
+  return Object.fromEntries(Object.keys(tasks).map(name => [name, outcomes[name]]));
+}
@@ -0,0 +1,61 @@
+/**
+ * In-memory LRU cache bounded by total size
+ * Entries are kept in a Map in access order; the least recently used ones are evicted once the
+ * summed size passes maxSize. Size defaults to 1 per entry (maxSize is then an entry count).
+ */
+export class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSize - Upper bound on the summed entry sizes
+   * @param {Function} options.sizeOf - (value) => size of an entry
+   */
+  constructor({ maxSize, sizeOf = () => 1 }) {
+    this.maxSize = maxSize;
+    this.sizeOf = sizeOf;
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+
+    const size = this.sizeOf(value);
+    if (size > this.maxSize) {
+      return;
+    }
+
+    this.entries.set(key, { value, size });
+    this.size += size;
+
+    for (const [oldestKey] of this.entries) {
+      if (this.size <= this.maxSize) {
+        break;
+      }
+      this.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.size -= entry.size;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+}
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+// Login sessions only need to survive the round trip through Spotify's consent screen
+const LOGIN_SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// state -> { codeVerifier, redirectUri, expiresAt }
+const loginSessions = new Map();
+
+/**
+ * Base64url-encode a buffer (RFC 7636 appendix A)
+ */
+function base64UrlEncode(buffer) {
+  return buffer
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Generate a high-entropy PKCE code verifier (43-128 chars)
+ */
+export function generateCodeVerifier() {
+  return base64UrlEncode(crypto.randomBytes(64));
+}
+
+/**
+ * Derive the S256 code challenge for a code verifier
+ */
+export function generateCodeChallenge(codeVerifier) {
+  return base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest());
+}
+
+/**
+ * Drop expired login sessions
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+  for (const [state, session] of loginSessions) {
+    if (session.expiresAt <= now) {
+      loginSessions.delete(state);
+    }
+  }
+}
+
+/**
+ * Start a PKCE login session
+ * The verifier never leaves the server; only the challenge and state are handed out
+ * @param {string} redirectUri - Redirect URI the authorize request is built with
+ */
+export function createLoginSession(redirectUri) {
+  pruneExpiredSessions();
+
+  const state = base64UrlEncode(crypto.randomBytes(24));
+  const codeVerifier = generateCodeVerifier();
+  const expiresAt = Date.now() + LOGIN_SESSION_TTL_MS;
+
+  loginSessions.set(state, { codeVerifier, redirectUri, expiresAt });
+
+  return {
+    state,
+    codeChallenge: generateCodeChallenge(codeVerifier),
+    codeChallengeMethod: 'S256',
+    expiresIn: Math.floor(LOGIN_SESSION_TTL_MS / 1000),
+  };
+}
+
+/**
+ * Look up and remove the login session for a state value
+ * Sessions are single-use, so a replayed state is rejected
+ * @returns {Object|null} { codeVerifier, redirectUri } or null if unknown/expired
+ */
+export function consumeLoginSession(state) {
+  if (!state || typeof state !== 'string') {
+    return null;
+  }
+
+  const session = loginSessions.get(state);
+  if (!session) {
+    return null;
+  }
+
+  loginSessions.delete(state);
+
+  if (session.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return {
+    codeVerifier: session.codeVerifier,
+    redirectUri: session.redirectUri,
+  };
+}
@@ -0,0 +1,57 @@
+// Spotify only counts a stream after 30 seconds; anything shorter is treated as a skip
+export const SKIP_THRESHOLD_MS = 30 * 1000;
+
+/**
+ * Check if a listened duration counts as a skip
+ */
+export function isSkip(msPlayed) {
+  return typeof msPlayed === 'number' && msPlayed < SKIP_THRESHOLD_MS;
+}
+
+/**
+ * Infer listened milliseconds for recently-played items
+ * Spotify's played_at is when playback of the track ended, so a play can't have lasted longer than
+ * the gap since the previous play ended. We cap the track duration by that gap.
+ * @param {Object[]} plays - Plays with playedAt (Date) and duration (ms), in any order
+ * @param {Date|null} previousPlayedAt - End of the latest play before these, if known
+ * @returns {Map<Object, Object>} play -> { msPlayed, skipped }
+ */
+export function inferPlayDurations(plays, previousPlayedAt = null) {
+  const sorted = [...plays].sort((a, b) => a.playedAt - b.playedAt);
+  const result = new Map();
+  let previousEnd = previousPlayedAt ? previousPlayedAt.getTime() : null;
+
+  for (const play of sorted) {
+    const end = play.playedAt.getTime();
+    const gap = previousEnd !== null ? end - previousEnd : null;
+    const duration = play.duration || null;
+
+    const msPlayed = duration !== null && gap !== null ? Math.max(0, Math.min(duration, gap)) : duration;
+
+    result.set(play, { msPlayed, skipped: msPlayed === null ? null : isSkip(msPlayed) });
+    previousEnd = end;
+  }
+
+  return result;
+}
+
+/**
+ * Listened milliseconds for a stored play
+ * Rows synced before listening durations were tracked fall back to the full track duration
+ */
+export function getPlayedMs(track) {
+  return track.msPlayed ?? track.duration ?? 0;
+}
+
+/**
+ * Prisma where fragment excluding skipped plays
+ * Rows with an unknown skip flag (null) are kept
+ */
+export const NOT_SKIPPED = { OR: [{ skipped: false }, { skipped: null }] };
+
+/**
+ * Parse the excludeSkips query parameter
+ */
+export function parseExcludeSkips(value) {
+  return value === 'true' || value === '1';
+}
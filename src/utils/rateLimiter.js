@@ -0,0 +1,147 @@
+// Request lanes, served in this order
+export const PRIORITIES = ['interactive', 'background'];
+
+/**
+ * Token-bucket rate limiter with priority lanes
+ * Requests wait for a token; when tokens are scarce, queued interactive requests are
+ * always served before background ones. pause() stops all lanes until a deadline
+ * (used for Spotify's Retry-After).
+ */
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.ratePerSecond - Tokens added per second
+   * @param {number} options.burst - Bucket size (requests allowed back to back)
+   */
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+    this.timer = null;
+    this.stats = {
+      granted: Object.fromEntries(PRIORITIES.map(priority => [priority, 0])),
+      // Requests that had to wait for a token or a pause
+      throttled: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      // 429 responses reported through pause()
+      rateLimited: 0,
+      lastRateLimitedAt: null,
+    };
+  }
+
+  /**
+   * Run a request once a token is available
+   * @param {Function} fn - Returns a promise for the request
+   * @param {Object} options - { priority: 'interactive' | 'background' }
+   */
+  async schedule(fn, { priority = 'interactive' } = {}) {
+    await this.acquire(PRIORITIES.includes(priority) ? priority : 'interactive');
+    return fn();
+  }
+
+  /**
+   * Wait for a token in a lane
+   */
+  acquire(priority) {
+    return new Promise(resolve => {
+      this.queues[priority].push({ resolve, queuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop handing out tokens for `ms` milliseconds (extends, never shortens, a running pause)
+   */
+  pause(ms) {
+    const until = Date.now() + ms;
+    this.stats.rateLimited++;
+    this.stats.lastRateLimitedAt = new Date().toISOString();
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      console.warn(`Spotify rate limit: pausing all requests for ${ms}ms`);
+    }
+    this.drain();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Hand out available tokens, highest priority lane first, and schedule the next attempt
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      this.timer = setTimeout(() => this.drain(), this.pausedUntil - now);
+      return;
+    }
+
+    this.refill();
+
+    for (const priority of PRIORITIES) {
+      const queue = this.queues[priority];
+      while (queue.length > 0 && this.tokens >= 1) {
+        const { resolve, queuedAt } = queue.shift();
+        this.tokens -= 1;
+        this.recordGrant(priority, now - queuedAt);
+        resolve();
+      }
+    }
+
+    if (this.getQueueDepth() > 0) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      this.timer = setTimeout(() => this.drain(), Math.max(waitMs, 1));
+    }
+  }
+
+  recordGrant(priority, waitMs) {
+    this.stats.granted[priority]++;
+    if (waitMs > 0) {
+      this.stats.throttled++;
+      this.stats.totalWaitMs += waitMs;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    }
+  }
+
+  getQueueDepth() {
+    return PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  /**
+   * Snapshot for /health
+   */
+  getMetrics() {
+    this.refill();
+    const now = Date.now();
+
+    return {
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      availableTokens: Math.floor(this.tokens),
+      queued: Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length])),
+      pausedForMs: Math.max(this.pausedUntil - now, 0),
+      granted: { ...this.stats.granted },
+      throttled: this.stats.throttled,
+      avgWaitMs: this.stats.throttled > 0 ? Math.round(this.stats.totalWaitMs / this.stats.throttled) : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+      rateLimited: this.stats.rateLimited,
+      lastRateLimitedAt: this.stats.lastRateLimitedAt,
+    };
+  }
+}
+
+// Shared by every SpotifyService instance in the process
+export const spotifyRateLimiter = new TokenBucketLimiter({
+  ratePerSecond: parseFloat(process.env.SPOTIFY_RATE_LIMIT_PER_SECOND) || 5,
+  burst: parseInt(process.env.SPOTIFY_RATE_LIMIT_BURST) || 10,
+});
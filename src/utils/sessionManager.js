@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import { withCacheFallback } from './dbFallback.js';
+import {
+  generateUserToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+} from './tokenManager.js';
+
+/**
+ * Session Manager
+ * Issues access/refresh token pairs and rotates refresh tokens within a session family.
+ * Refresh token records live in the RefreshToken table, or in the local cache
+ * ('sessions' data type) when the database is unavailable.
+ */
+
+/**
+ * Create an authentication error carrying an HTTP status and a machine-readable reason
+ */
+function sessionError(message, reason) {
+  const error = new Error(message);
+  error.status = 401;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Load cached refresh token records for a user, dropping expired ones
+ */
+async function loadCachedRecords(cache, userId) {
+  const records = (await cache.load(userId, 'sessions')) || [];
+  const now = Date.now();
+  return records.filter(record => new Date(record.expiresAt).getTime() > now);
+}
+
+/**
+ * Persist a new refresh token record
+ */
+async function saveRecord(record) {
+  return withCacheFallback(
+    async (prisma) => prisma.refreshToken.create({ data: record }),
+    async (cache) => {
+      const records = await loadCachedRecords(cache, record.userId);
+      records.push({ ...record, rotatedAt: null, revokedAt: null, createdAt: new Date() });
+      await cache.save(record.userId, 'sessions', records);
+      return record;
+    },
+    { userId: record.userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Find a refresh token record by id
+ */
+async function findRecord(userId, tokenId) {
+  return withCacheFallback(
+    async (prisma) => prisma.refreshToken.findUnique({ where: { id: tokenId } }),
+    async (cache) => {
+      const records = await loadCachedRecords(cache, userId);
+      return records.find(record => record.id === tokenId) || null;
+    },
+    { userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Mark a refresh token as rotated
+ * Only succeeds for a token that is neither rotated nor revoked, so two concurrent
+ * refreshes with the same token can't both win.
+ * @returns {boolean} true if this call performed the rotation
+ */
+async function markRotated(userId, tokenId) {
+  return withCacheFallback(
+    async (prisma) => {
+      const result = await prisma.refreshToken.updateMany({
+        where: { id: tokenId, rotatedAt: null, revokedAt: null },
+        data: { rotatedAt: new Date() },
+      });
+      return result.count === 1;
+    },
+    async (cache) => {
+      const records = await loadCachedRecords(cache, userId);
+      const record = records.find(r => r.id === tokenId);
+      if (!record || record.rotatedAt || record.revokedAt) {
+        return false;
+      }
+      record.rotatedAt = new Date();
+      await cache.save(userId, 'sessions', records);
+      return true;
+    },
+    { userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Revoke every refresh token in a session family
+ * @returns {number} Number of tokens revoked
+ */
+export async function revokeSessionFamily(userId, familyId) {
+  return withCacheFallback(
+    async (prisma) => {
+      const result = await prisma.refreshToken.updateMany({
+        where: { userId, familyId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      return result.count;
+    },
+    async (cache) => {
+      const records = await loadCachedRecords(cache, userId);
+      let count = 0;
+      records.forEach(record => {
+        if (record.familyId === familyId && !record.revokedAt) {
+          record.revokedAt = new Date();
+          count++;
+        }
+      });
+      await cache.save(userId, 'sessions', records);
+      return count;
+    },
+    { userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Check whether a session family has been revoked (logout or refresh token reuse)
+ */
+export async function isSessionRevoked(userId, familyId) {
+  return withCacheFallback(
+    async (prisma) => {
+      const revoked = await prisma.refreshToken.findFirst({
+        where: { familyId, revokedAt: { not: null } },
+        select: { id: true },
+      });
+      return !!revoked;
+    },
+    async (cache) => {
+      const records = (await cache.load(userId, 'sessions')) || [];
+      return records.some(record => record.familyId === familyId && record.revokedAt);
+    },
+    { userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Get the user-wide token cutoff set by revokeAllUserTokens
+ * @returns {Date|null}
+ */
+async function getUserRevocationCutoff(userId) {
+  return withCacheFallback(
+    async (prisma) => {
+      const revocation = await prisma.tokenRevocation.findUnique({ where: { userId } });
+      return revocation ? revocation.revokedBefore : null;
+    },
+    async (cache) => {
+      const revocation = await cache.load(userId, 'revocation');
+      return revocation ? new Date(revocation.revokedBefore) : null;
+    },
+    { userId, dataType: 'revocation' }
+  );
+}
+
+/**
+ * Check whether a decoded access token has been revoked, either through its
+ * session family or through a user-wide revocation (account deletion)
+ */
+export async function isAccessTokenRevoked(decoded) {
+  const [sessionRevoked, cutoff] = await Promise.all([
+    decoded.sid ? isSessionRevoked(decoded.userId, decoded.sid) : false,
+    getUserRevocationCutoff(decoded.userId),
+  ]);
+
+  if (sessionRevoked) {
+    return true;
+  }
+  return !!cutoff && decoded.iat * 1000 < cutoff.getTime();
+}
+
+/**
+ * Invalidate every token ever issued to a user
+ * Deletes all refresh tokens and records a cutoff so outstanding access tokens
+ * (including ones issued before sessions existed) are rejected.
+ * @returns {number} Number of refresh tokens removed
+ */
+export async function revokeAllUserTokens(userId) {
+  const revokedBefore = new Date();
+
+  return withCacheFallback(
+    async (prisma) => {
+      const [deleted] = await prisma.$transaction([
+        prisma.refreshToken.deleteMany({ where: { userId } }),
+        prisma.tokenRevocation.upsert({
+          where: { userId },
+          create: { userId, revokedBefore },
+          update: { revokedBefore },
+        }),
+      ]);
+      return deleted.count;
+    },
+    async (cache) => {
+      const records = (await cache.load(userId, 'sessions')) || [];
+      await cache.delete(userId, 'sessions');
+      await cache.save(userId, 'revocation', { revokedBefore: revokedBefore.toISOString() });
+      return records.length;
+    },
+    { userId, dataType: 'sessions' }
+  );
+}
+
+/**
+ * Issue an access token and a new refresh token within a session family
+ */
+async function issueTokens(userId, familyId) {
+  const refresh = generateRefreshToken(userId, familyId);
+
+  await saveRecord({
+    id: refresh.tokenId,
+    userId,
+    familyId,
+    expiresAt: refresh.expiresAt,
+  });
+
+  return {
+    token: generateUserToken(userId, familyId),
+    refreshToken: refresh.token,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: familyId,
+  };
+}
+
+/**
+ * Start a new session family for a user (called on login)
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+export async function createSession(userId) {
+  return issueTokens(userId, crypto.randomUUID());
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting a refresh token that was already rotated is treated as theft:
+ * the whole session family is revoked.
+ * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded) {
+    throw sessionError('Invalid or expired refresh token', 'invalid');
+  }
+
+  const { userId, familyId, tokenId } = decoded;
+  const record = await findRecord(userId, tokenId);
+
+  if (!record || record.familyId !== familyId || record.userId !== userId) {
+    throw sessionError('Unknown refresh token', 'invalid');
+  }
+
+  if (record.revokedAt) {
+    throw sessionError('Session has been revoked', 'revoked');
+  }
+
+  const rotated = !record.rotatedAt && await markRotated(userId, tokenId);
+  if (!rotated) {
+    console.warn(`Refresh token reuse detected for user ${userId}, revoking session ${familyId}`);
+    await revokeSessionFamily(userId, familyId);
+    throw sessionError('Refresh token reuse detected', 'reused');
+  }
+
+  return issueTokens(userId, familyId);
+}
+
+/**
+ * Revoke the session family a refresh token belongs to (logout)
+ * @returns {Object|null} { userId, sessionId, revoked } or null if the token is invalid
+ */
+export async function revokeSessionByRefreshToken(refreshToken) {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded) {
+    return null;
+  }
+
+  const revoked = await revokeSessionFamily(decoded.userId, decoded.familyId);
+  return { userId: decoded.userId, sessionId: decoded.familyId, revoked };
+}
@@ -0,0 +1,91 @@
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+
+export const SPOTIFY_API_BASE_URL = 'https://api.spotify.com/v1';
+// Largest page Spotify serves on the paginated endpoints we use
+export const SPOTIFY_PAGE_SIZE = 50;
+// Cap on items collected by an "all pages" fetch, so huge libraries can't stall a request
+export const MAX_PAGINATED_ITEMS = parseInt(process.env.SPOTIFY_MAX_PAGINATED_ITEMS) || 1000;
+// Ids per request on the multi-get endpoints (/tracks, /artists)
+export const SPOTIFY_MULTI_GET_SIZE = 50;
+
+/**
+ * Check if a string looks like a Spotify id (22 base-62 characters)
+ * Spotify rejects a whole multi-get request if any id in it is malformed.
+ */
+export function isSpotifyId(id) {
+  return typeof id === 'string' && /^[0-9A-Za-z]{22}$/.test(id);
+}
+
+/**
+ * Shared Spotify Web API client
+ * One instance per process so connections to api.spotify.com are kept alive and reused
+ * across requests; paths are relative to SPOTIFY_API_BASE_URL.
+ */
+export const spotifyHttp = axios.create({
+  baseURL: SPOTIFY_API_BASE_URL,
+  timeout: 10000, // 10 second timeout for all requests
+  httpAgent: new http.Agent({ keepAlive: true }),
+  httpsAgent: new https.Agent({ keepAlive: true }),
+});
+
+/**
+ * Collect items from an offset-paginated endpoint ({ items, next, offset, limit, total })
+ * @param {Function} fetchPage - async ({ limit, offset }) => response body
+ * @param {Object} options
+ * @param {number} options.offset - Index of the first item
+ * @param {number} options.maxItems - Stop after this many items
+ * @param {Function} options.getPage - Picks the page out of the response body
+ */
+export async function paginateOffset(fetchPage, { offset = 0, maxItems = MAX_PAGINATED_ITEMS, getPage = data => data } = {}) {
+  const items = [];
+  let nextOffset = offset;
+
+  while (items.length < maxItems) {
+    const page = getPage(await fetchPage({
+      limit: Math.min(SPOTIFY_PAGE_SIZE, maxItems - items.length),
+      offset: nextOffset,
+    }));
+    const pageItems = page?.items || [];
+    items.push(...pageItems);
+
+    if (!page?.next || pageItems.length === 0) {
+      return items;
+    }
+    nextOffset += pageItems.length;
+  }
+
+  console.warn(`Stopped paginating after ${items.length} items (cap ${maxItems})`);
+  return items;
+}
+
+/**
+ * Collect items from a cursor-paginated endpoint ({ items, next, cursors: { after } })
+ * @param {Function} fetchPage - async ({ limit, after }) => response body
+ * @param {Object} options
+ * @param {string} options.after - Cursor to start after
+ * @param {number} options.maxItems - Stop after this many items
+ * @param {Function} options.getPage - Picks the page out of the response body
+ */
+export async function paginateCursor(fetchPage, { after = null, maxItems = MAX_PAGINATED_ITEMS, getPage = data => data } = {}) {
+  const items = [];
+  let cursor = after;
+
+  while (items.length < maxItems) {
+    const page = getPage(await fetchPage({
+      limit: Math.min(SPOTIFY_PAGE_SIZE, maxItems - items.length),
+      ...(cursor && { after: cursor }),
+    }));
+    const pageItems = page?.items || [];
+    items.push(...pageItems);
+
+    cursor = page?.cursors?.after;
+    if (!page?.next || !cursor || pageItems.length === 0) {
+      return items;
+    }
+  }
+
+  console.warn(`Stopped paginating after ${items.length} items (cap ${maxItems})`);
+  return items;
+}
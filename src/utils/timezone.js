@@ -0,0 +1,105 @@
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are expensive to create, keep one per time zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check if a string is an IANA time zone name Intl understands (e.g. "Asia/Shanghai")
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a date in a time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday (0 = Sunday), date ('YYYY-MM-DD') }
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at the given instant, in milliseconds
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Midnight (local time) of the day `daysAgo` days before `date`, as a UTC instant
+ */
+export function startOfZonedDay(date, timeZone = DEFAULT_TIME_ZONE, daysAgo = 0) {
+  const p = getZonedParts(date, timeZone);
+  const localMidnight = Date.UTC(p.year, p.month - 1, p.day - daysAgo);
+
+  // Resolve the offset at the target instant, twice to settle DST transitions
+  let instant = localMidnight - getOffsetMs(new Date(localMidnight), timeZone);
+  instant = localMidnight - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Start of a stats time window in the user's time zone
+ * 24h is rolling; 7d and 30d cover whole local days including today.
+ * @param {string} timeRange - '24h', '7d', '30d', 'all'
+ * @returns {Date|null} Window start, or null for an unknown time range
+ */
+export function getTimeRangeStart(timeRange, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  switch (timeRange) {
+    case '24h':
+      return new Date(now.getTime() - DAY_MS);
+    case '7d':
+      return startOfZonedDay(now, timeZone, 6);
+    case '30d':
+      return startOfZonedDay(now, timeZone, 29);
+    case 'all':
+      return new Date(0);
+    default:
+      return null;
+  }
+}
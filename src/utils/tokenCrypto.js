@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+
+/**
+ * Token Crypto
+ * Envelope encryption for Spotify tokens at rest.
+ *
+ * Each value gets its own random data key (AES-256-GCM); the data key is wrapped
+ * with a master key from TOKEN_ENCRYPTION_KEYS. Encrypted values look like:
+ *   enc:v1:<keyId>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext>
+ *
+ * Env:
+ *   TOKEN_ENCRYPTION_KEYS   - comma-separated "keyId:base64Key" pairs (32-byte keys)
+ *   TOKEN_ENCRYPTION_KEY_ID - key used for new values (defaults to the first listed key)
+ *
+ * Values without the "enc:" prefix are treated as legacy plaintext, so existing rows keep
+ * working until `npm run tokens:encrypt` re-encrypts them.
+ */
+
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let warnedMissingKeys = false;
+
+/**
+ * Parse master keys from env
+ * Read lazily so dotenv has a chance to populate process.env first
+ * @returns {Map<string, Buffer>}
+ */
+function loadMasterKeys() {
+  const keys = new Map();
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  raw.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "keyId:base64Key"');
+    }
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${keyId}" must be 32 bytes (base64-encoded)`);
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+}
+
+/**
+ * Get the key id used for new encryptions, or null when encryption is not configured
+ */
+export function getCurrentKeyId() {
+  const keys = loadMasterKeys();
+  if (keys.size === 0) {
+    return null;
+  }
+
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(keyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${keyId}" is not listed in TOKEN_ENCRYPTION_KEYS`);
+  }
+  return keyId;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Check whether a stored value is in encrypted form
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a token for storage
+ * Returns the value unchanged if it is empty or encryption is not configured
+ */
+export function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return plaintext;
+  }
+
+  const keyId = getCurrentKeyId();
+  if (!keyId) {
+    if (!warnedMissingKeys) {
+      console.warn('TOKEN_ENCRYPTION_KEYS not set - Spotify tokens will be stored in plaintext');
+      warnedMissingKeys = true;
+    }
+    return plaintext;
+  }
+
+  const masterKey = loadMasterKeys().get(keyId);
+  const dataKey = crypto.randomBytes(32);
+
+  const wrapped = seal(masterKey, dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf-8'));
+
+  return [
+    PREFIX,
+    VERSION,
+    keyId,
+    Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64url'),
+    sealed.iv.toString('base64url'),
+    sealed.tag.toString('base64url'),
+    sealed.ciphertext.toString('base64url'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored token
+ * Legacy plaintext values are returned as-is
+ */
+export function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const parts = value.split(':');
+  if (parts.length !== 7 || parts[1] !== VERSION) {
+    throw new Error('Unsupported encrypted token format');
+  }
+
+  const [, , keyId, wrappedDataKey, iv, tag, ciphertext] = parts;
+  const masterKey = loadMasterKeys().get(keyId);
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const wrapped = Buffer.from(wrappedDataKey, 'base64url');
+  const dataKey = open(
+    masterKey,
+    wrapped.subarray(0, IV_LENGTH),
+    wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+    wrapped.subarray(IV_LENGTH + TAG_LENGTH)
+  );
+
+  return open(
+    dataKey,
+    Buffer.from(iv, 'base64url'),
+    Buffer.from(tag, 'base64url'),
+    Buffer.from(ciphertext, 'base64url')
+  ).toString('utf-8');
+}
+
+/**
+ * Check whether a stored token should be (re-)encrypted with the current key
+ * True for plaintext values and values sealed with an older key id
+ */
+export function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+
+  const keyId = getCurrentKeyId();
+  if (!keyId) {
+    return false;
+  }
+
+  return !isEncrypted(value) || value.split(':')[2] !== keyId;
+}
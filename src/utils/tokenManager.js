@@ -1,8 +1,13 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
+import { encryptToken, decryptToken } from './tokenCrypto.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Access JWTs are short-lived; clients renew them with a rotating refresh token
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 60 * 24 * 60 * 60;
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 
@@ -16,18 +21,75 @@ try {
 }
 
 /**
- * Generate JWT token for user
+ * Generate short-lived access JWT for user
+ * @param {string} userId
+ * @param {string|null} sessionId - Session family the token belongs to (see sessionManager)
  */
-export function generateUserToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '30d' });
+export function generateUserToken(userId, sessionId = null) {
+  const payload = sessionId ? { userId, sid: sessionId } : { userId };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
 /**
- * Verify JWT token
+ * Verify access JWT token and report why verification failed
+ * @returns {Object} { decoded, reason } - reason is null on success,
+ *   otherwise 'expired', 'malformed' or 'invalid' (bad signature, wrong token type)
+ */
+export function inspectUserToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    // Refresh tokens are rejected so they can't be used as bearer tokens
+    if (decoded.type === 'refresh' || !decoded.userId) {
+      return { decoded: null, reason: 'invalid' };
+    }
+    return { decoded, reason: null };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { decoded: null, reason: 'expired' };
+    }
+    if (error.message === 'invalid signature') {
+      return { decoded: null, reason: 'invalid' };
+    }
+    return { decoded: null, reason: 'malformed' };
+  }
+}
+
+/**
+ * Verify access JWT token
  */
 export function verifyUserToken(token) {
+  return inspectUserToken(token).decoded;
+}
+
+/**
+ * Generate refresh JWT for a session family
+ * The token id (jti) points at the server-side record that tracks rotation
+ * @returns {Object} { token, tokenId, expiresAt }
+ */
+export function generateRefreshToken(userId, familyId) {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign({ userId, fid: familyId, type: 'refresh' }, JWT_SECRET, {
+    expiresIn: REFRESH_TOKEN_TTL_SECONDS,
+    jwtid: tokenId,
+  });
+  return {
+    token,
+    tokenId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000),
+  };
+}
+
+/**
+ * Verify refresh JWT
+ * @returns {Object|null} { userId, familyId, tokenId } or null if invalid/expired
+ */
+export function verifyRefreshToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== 'refresh' || !decoded.userId || !decoded.fid || !decoded.jti) {
+      return null;
+    }
+    return { userId: decoded.userId, familyId: decoded.fid, tokenId: decoded.jti };
   } catch (error) {
     return null;
   }
@@ -35,6 +97,7 @@ export function verifyUserToken(token) {
 
 /**
  * Refresh Spotify access token
+ * @returns {Object} { accessToken, refreshToken (rotated token or null), expiresIn, tokenExpiresAt }
  */
 export async function refreshSpotifyToken(refreshToken) {
   try {
@@ -59,6 +122,8 @@ export async function refreshSpotifyToken(refreshToken) {
 
     return {
       accessToken: response.data.access_token,
+      // Only present when Spotify rotates the refresh token; the old one may stop working
+      refreshToken: response.data.refresh_token || null,
       expiresIn: response.data.expires_in,
       tokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000),
     };
@@ -77,12 +142,166 @@ export function isTokenExpired(tokenExpiresAt) {
   return new Date(tokenExpiresAt).getTime() < fiveMinutesFromNow;
 }
 
+/**
+ * Check if a failed token refresh means Spotify revoked our grant (user removed the app,
+ * changed password, ...) rather than a transient error
+ */
+export function isInvalidGrantError(error) {
+  return error.response?.data?.error === 'invalid_grant';
+}
+
+/**
+ * Record that the user's Spotify grant is gone so status checks and background syncs skip them
+ * @returns {Error} Error to throw to the caller (status 401, not retryable)
+ */
+async function markSpotifyDisconnected(user) {
+  console.warn(`Spotify refresh token rejected for user ${user.id}, marking as disconnected`);
+
+  if (prisma && user.id && !user.id.startsWith('temp_')) {
+    try {
+      const disconnectedAt = new Date();
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { spotifyDisconnectedAt: disconnectedAt },
+      });
+      user.spotifyDisconnectedAt = disconnectedAt;
+    } catch (dbError) {
+      console.warn('Failed to mark user as disconnected:', dbError.message);
+    }
+  }
+
+  return Object.assign(new Error('Spotify access was revoked, please log in again'), {
+    code: 'spotify_disconnected',
+    status: 401,
+    retryable: false,
+  });
+}
+
+// userId -> promise of the refresh currently running for that user
+const refreshesInFlight = new Map();
+
+/**
+ * Record a refresh attempt in the TokenRefreshEvent audit table (never fails the refresh)
+ */
+async function recordRefreshEvent(userId, { outcome, rotated = false, forced = false, error = null }) {
+  if (!prisma || !userId || userId.startsWith('temp_')) {
+    return;
+  }
+
+  try {
+    await prisma.tokenRefreshEvent.create({
+      data: { userId, outcome, rotated, forced, error },
+    });
+  } catch (dbError) {
+    console.warn('Failed to record token refresh event:', dbError.message);
+  }
+}
+
+/**
+ * Refresh a user's Spotify token, sharing one request between concurrent callers
+ * Parallel API calls for the same user would otherwise each refresh, and with refresh-token
+ * rotation all but one of them would be left holding a token Spotify no longer accepts.
+ */
+function refreshUserTokenOnce(user, refreshToken, options) {
+  if (!refreshesInFlight.has(user.id)) {
+    const refresh = refreshUserToken(user, refreshToken, options).finally(() => {
+      refreshesInFlight.delete(user.id);
+    });
+    refreshesInFlight.set(user.id, refresh);
+  }
+  return refreshesInFlight.get(user.id);
+}
+
+/**
+ * Refresh a user's Spotify token and persist the result
+ * Stores the rotated refresh token when Spotify returns one, updates the user object in place
+ * and records the outcome.
+ */
+async function refreshUserToken(user, refreshToken, { forced = false, retriedWithStored = false } = {}) {
+  const isTempUser = user.id && user.id.startsWith('temp_');
+
+  let refreshed;
+  try {
+    refreshed = await refreshSpotifyToken(refreshToken);
+  } catch (error) {
+    if (isInvalidGrantError(error)) {
+      // Another process may have rotated the refresh token after this user object was loaded
+      if (!retriedWithStored && prisma && !isTempUser) {
+        const stored = await prisma.user.findUnique({
+          where: { id: user.id },
+          select: { refreshToken: true },
+        }).catch(() => null);
+        const storedToken = stored?.refreshToken ? decryptToken(stored.refreshToken) : null;
+        if (storedToken && storedToken !== refreshToken) {
+          user.refreshToken = stored.refreshToken;
+          return refreshUserToken(user, storedToken, { forced, retriedWithStored: true });
+        }
+      }
+
+      await recordRefreshEvent(user.id, { outcome: 'invalid_grant', forced, error: error.response.data.error_description || null });
+      throw await markSpotifyDisconnected(user);
+    }
+
+    await recordRefreshEvent(user.id, { outcome: 'error', forced, error: error.message });
+    throw error;
+  }
+
+  const rotated = Boolean(refreshed.refreshToken) && refreshed.refreshToken !== refreshToken;
+  const currentRefreshToken = rotated ? refreshed.refreshToken : refreshToken;
+
+  // Later calls with the same user object reuse the new token instead of refreshing again
+  Object.assign(user, {
+    accessToken: encryptToken(refreshed.accessToken),
+    tokenExpiresAt: refreshed.tokenExpiresAt,
+    ...(rotated && { refreshToken: encryptToken(currentRefreshToken) }),
+  });
+
+  // Update database with new token (if available)
+  if (prisma && user.id && !isTempUser) {
+    try {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          accessToken: encryptToken(refreshed.accessToken),
+          tokenExpiresAt: refreshed.tokenExpiresAt,
+          ...(rotated && { refreshToken: encryptToken(currentRefreshToken) }),
+        },
+      });
+    } catch (dbError) {
+      console.warn('Failed to update token in database:', dbError.message);
+      // Continue even if database update fails
+    }
+  }
+
+  // For temp users, update local cache
+  if (isTempUser) {
+    try {
+      const { localCache } = await import('./dbFallback.js');
+      await localCache.save(user.id, 'tokens', {
+        accessToken: encryptToken(refreshed.accessToken),
+        refreshToken: encryptToken(currentRefreshToken),
+        tokenExpiresAt: refreshed.tokenExpiresAt.toISOString(),
+      });
+    } catch (cacheError) {
+      console.warn('Failed to cache refreshed token for temp user:', cacheError.message);
+    }
+  }
+
+  await recordRefreshEvent(user.id, { outcome: 'success', rotated, forced });
+  return refreshed;
+}
+
 /**
  * Get valid access token, refreshing if necessary
  * Automatically updates the database if token is refreshed
  * Supports temp users by loading tokens from local cache
+ * Stored tokens are encrypted at rest (see tokenCrypto); the returned token is plaintext
+ * @param {Object} user - Updated in place with the refreshed token
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Refresh even if the stored token looks valid
+ *   (Spotify answered 401 with it)
  */
-export async function getValidAccessToken(user) {
+export async function getValidAccessToken(user, { forceRefresh = false } = {}) {
   // For temp users, try to load tokens from local cache first
   let currentUser = user;
   
@@ -108,43 +327,14 @@ export async function getValidAccessToken(user) {
     throw new Error('No refresh token available');
   }
 
+  const refreshToken = decryptToken(currentUser.refreshToken);
+
   // Check if token needs refresh
-  if (isTokenExpired(currentUser.tokenExpiresAt)) {
-    const refreshed = await refreshSpotifyToken(currentUser.refreshToken);
-    
-    // Update database with new token (if available)
-    if (prisma && currentUser.id && !currentUser.id.startsWith('temp_')) {
-      try {
-        await prisma.user.update({
-          where: { id: currentUser.id },
-          data: {
-            accessToken: refreshed.accessToken,
-            tokenExpiresAt: refreshed.tokenExpiresAt,
-          },
-        });
-      } catch (dbError) {
-        console.warn('Failed to update token in database:', dbError.message);
-        // Continue even if database update fails
-      }
-    }
-    
-    // For temp users, update local cache
-    if (currentUser.id && currentUser.id.startsWith('temp_')) {
-      try {
-        const { localCache } = await import('./dbFallback.js');
-        await localCache.save(currentUser.id, 'tokens', {
-          accessToken: refreshed.accessToken,
-          refreshToken: currentUser.refreshToken, // Keep the same refresh token
-          tokenExpiresAt: refreshed.tokenExpiresAt.toISOString(),
-        });
-      } catch (cacheError) {
-        console.warn('Failed to cache refreshed token for temp user:', cacheError.message);
-      }
-    }
-    
+  if (forceRefresh || isTokenExpired(currentUser.tokenExpiresAt)) {
+    const refreshed = await refreshUserTokenOnce(user, refreshToken, { forced: forceRefresh });
     return refreshed.accessToken;
   }
 
-  return currentUser.accessToken;
+  return decryptToken(currentUser.accessToken);
 }
 
@@ -0,0 +1,241 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The module's shared queue would otherwise create a Postgres-backed store on import
+process.env.JOB_QUEUE_DRIVER = 'memory';
+const { JobQueue, MemoryJobStore } = await import('../src/services/jobQueue.js');
+
+const RETRY_BASE_MS = 1000;
+
+function createQueue(options = {}) {
+  const store = new MemoryJobStore();
+  const queue = new JobQueue({ store, retryBaseMs: RETRY_BASE_MS, ...options });
+  return { store, queue };
+}
+
+function failingHandler(error) {
+  return async () => {
+    throw error;
+  };
+}
+
+describe('MemoryJobStore.claim', () => {
+  it('claims due jobs by runAt, then createdAt', async () => {
+    const store = new MemoryJobStore();
+    const now = Date.now();
+    const later = await store.insert({ type: 'a', runAt: new Date(now - 1000), createdAt: new Date(now - 1000) });
+    const earliest = await store.insert({ type: 'a', runAt: new Date(now - 5000), createdAt: new Date(now - 1000) });
+    const olderTie = await store.insert({ type: 'a', runAt: new Date(now - 1000), createdAt: new Date(now - 3000) });
+
+    assert.equal((await store.claim('w')).id, earliest.id);
+    assert.equal((await store.claim('w')).id, olderTie.id);
+    assert.equal((await store.claim('w')).id, later.id);
+    assert.equal(await store.claim('w'), null);
+  });
+
+  it('skips jobs that are not due yet', async () => {
+    const store = new MemoryJobStore();
+    await store.insert({ type: 'a', runAt: new Date(Date.now() + 60000) });
+
+    assert.equal(await store.claim('w'), null);
+  });
+
+  it('marks the claimed job as running and counts the attempt', async () => {
+    const store = new MemoryJobStore();
+    const inserted = await store.insert({ type: 'a' });
+
+    const claimed = await store.claim('worker-1');
+
+    assert.equal(claimed.id, inserted.id);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.attempts, 1);
+    assert.equal(claimed.lockedBy, 'worker-1');
+    assert.ok(claimed.lockedAt instanceof Date);
+    assert.equal(await store.claim('worker-2'), null);
+  });
+});
+
+describe('JobQueue retries', () => {
+  it('re-queues failed jobs with exponential backoff', async () => {
+    const { store, queue } = createQueue();
+    queue.register('flaky', failingHandler(new Error('boom')));
+    const job = await queue.enqueue('flaky', { maxAttempts: 3 });
+
+    const first = Date.now();
+    await queue.runJob(await store.claim('w'));
+    let stored = await store.findById(job.id);
+    assert.equal(stored.status, 'queued');
+    assert.equal(stored.error, 'boom');
+    assert.equal(stored.lockedAt, null);
+    assert.ok(stored.runAt.getTime() >= first + RETRY_BASE_MS);
+    assert.ok(stored.runAt.getTime() < Date.now() + RETRY_BASE_MS * 2);
+
+    await store.update(job.id, { runAt: new Date() });
+    const second = Date.now();
+    await queue.runJob(await store.claim('w'));
+    stored = await store.findById(job.id);
+    assert.equal(stored.status, 'queued');
+    assert.ok(stored.runAt.getTime() >= second + RETRY_BASE_MS * 2);
+    assert.ok(stored.runAt.getTime() < Date.now() + RETRY_BASE_MS * 4);
+  });
+
+  it('fails the job once maxAttempts is reached', async () => {
+    const { store, queue } = createQueue();
+    queue.register('flaky', failingHandler(new Error('boom')));
+    const job = await queue.enqueue('flaky', { maxAttempts: 2 });
+
+    await queue.runJob(await store.claim('w'));
+    await store.update(job.id, { runAt: new Date() });
+    await queue.runJob(await store.claim('w'));
+
+    const stored = await store.findById(job.id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 2);
+    assert.ok(stored.finishedAt instanceof Date);
+  });
+
+  it('does not retry errors marked retryable = false', async () => {
+    const { store, queue } = createQueue();
+    queue.register('fatal', failingHandler(Object.assign(new Error('gone'), { retryable: false })));
+    const job = await queue.enqueue('fatal', { maxAttempts: 3 });
+
+    await queue.runJob(await store.claim('w'));
+
+    const stored = await store.findById(job.id);
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.error, 'gone');
+    assert.ok(stored.finishedAt instanceof Date);
+  });
+
+  it('stores the handler result on success', async () => {
+    const { store, queue } = createQueue();
+    queue.register('ok', async () => ({ synced: 3 }));
+    const job = await queue.enqueue('ok');
+
+    await queue.runJob(await store.claim('w'));
+
+    const stored = await store.findById(job.id);
+    assert.equal(stored.status, 'completed');
+    assert.deepEqual(stored.result, { synced: 3 });
+    assert.equal(stored.lockedBy, null);
+  });
+
+  it('leaves result unset when the handler returns nothing', async () => {
+    const { store, queue } = createQueue();
+    queue.register('ok', async () => {});
+    const job = await queue.enqueue('ok');
+    const updates = [];
+    const update = store.update.bind(store);
+    store.update = async (id, data) => {
+      updates.push(data);
+      return update(id, data);
+    };
+
+    await queue.runJob(await store.claim('w'));
+
+    const completion = updates.find(data => data.status === 'completed');
+    assert.ok(completion);
+    assert.equal('result' in completion, false);
+    assert.equal((await store.findById(job.id)).status, 'completed');
+  });
+
+  it('does not retry a job whose completion could not be saved', async () => {
+    const { store, queue } = createQueue();
+    let runs = 0;
+    queue.register('ok', async () => {
+      runs++;
+      return { synced: 1 };
+    });
+    const job = await queue.enqueue('ok', { maxAttempts: 3 });
+    const update = store.update.bind(store);
+    store.update = async (id, data) => {
+      if (data.status === 'completed') {
+        throw new Error('connection lost');
+      }
+      return update(id, data);
+    };
+
+    await queue.runJob(await store.claim('w'));
+
+    const stored = await store.findById(job.id);
+    assert.equal(runs, 1);
+    assert.equal(stored.status, 'running');
+    assert.equal(stored.error, null);
+  });
+});
+
+describe('JobQueue locks', () => {
+  it('re-queues running jobs whose lock is older than the cutoff', async () => {
+    const store = new MemoryJobStore();
+    const stale = await store.insert({ type: 'a' });
+    await store.claim('dead-worker');
+    await store.update(stale.id, { lockedAt: new Date(Date.now() - 60000) });
+    const fresh = await store.insert({ type: 'a' });
+    await store.claim('live-worker');
+
+    const requeued = await store.requeueStale(new Date(Date.now() - 30000));
+
+    assert.equal(requeued, 1);
+    assert.equal((await store.findById(stale.id)).status, 'queued');
+    assert.equal((await store.findById(stale.id)).lockedBy, null);
+    assert.equal((await store.findById(fresh.id)).status, 'running');
+  });
+
+  it('refreshes the lock when a handler reports progress', async () => {
+    const { store, queue } = createQueue();
+    let lockedAtDuringRun;
+    queue.register('progress', async (job, { reportProgress }) => {
+      await store.update(job.id, { lockedAt: new Date(0) });
+      await reportProgress({ completedSteps: 1, totalSteps: 2 });
+      lockedAtDuringRun = (await store.findById(job.id)).lockedAt;
+    });
+    await queue.enqueue('progress');
+
+    await queue.runJob(await store.claim('w'));
+
+    assert.ok(lockedAtDuringRun.getTime() > Date.now() - 5000);
+  });
+
+  it('keeps the lock of a long job fresh so it is not run twice', async () => {
+    const { store, queue } = createQueue({ lockTimeoutMs: 60 });
+    let runs = 0;
+    queue.register('slow', async () => {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    });
+    const job = await queue.enqueue('slow');
+
+    const run = queue.runJob(await store.claim('w'));
+    for (let i = 0; i < 8; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.equal(await store.requeueStale(new Date(Date.now() - 60)), 0);
+    }
+    await run;
+
+    assert.equal(runs, 1);
+    assert.equal((await store.findById(job.id)).status, 'completed');
+  });
+});
+
+describe('JobQueue.enqueueUnique', () => {
+  it('returns the active job instead of creating a second one', async () => {
+    const { queue } = createQueue();
+    queue.register('sync', async () => {});
+
+    const results = await Promise.all([
+      queue.enqueueUnique('sync', { userId: 'u1' }),
+      queue.enqueueUnique('sync', { userId: 'u1' }),
+      queue.enqueueUnique('sync', { userId: 'u2' }),
+    ]);
+
+    assert.deepEqual(results.map(result => result.created), [true, false, true]);
+    assert.equal(results[0].job.id, results[1].job.id);
+  });
+
+  it('rejects unknown job types', async () => {
+    const { queue } = createQueue();
+
+    await assert.rejects(queue.enqueueUnique('nope', { userId: 'u1' }), /Unknown job type/);
+  });
+});
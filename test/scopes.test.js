@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScopes, requireScopes } from '../src/middleware/scopes.js';
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function runMiddleware(middleware, auth) {
+  const res = createResponse();
+  let nextCalled = false;
+  middleware({ auth }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe('requireScopes', () => {
+  it('passes tokens that carry every required scope', () => {
+    const { res, nextCalled } = runMiddleware(
+      requireScopes('stats:read', 'cache:write'),
+      { userId: 'u1', scopes: ['cache:write', 'stats:read', 'user:read'] }
+    );
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.statusCode, 200);
+  });
+
+  it('rejects tokens missing a required scope with 403 insufficient_scope', () => {
+    const { res, nextCalled } = runMiddleware(
+      requireScopes('stats:read', 'cache:write'),
+      { userId: 'u1', scopes: ['stats:read'] }
+    );
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, {
+      error: 'Insufficient scope',
+      reason: 'insufficient_scope',
+      required: ['stats:read', 'cache:write'],
+    });
+  });
+
+  it('gives tokens without a scope claim full access', () => {
+    const { nextCalled } = runMiddleware(requireScopes('stats:read'), { userId: 'u1', scopes: null });
+
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe('parseScopes', () => {
+  it('accepts space-separated and array scope claims', () => {
+    assert.deepEqual(parseScopes({ scope: 'stats:read user:read' }), ['stats:read', 'user:read']);
+    assert.deepEqual(parseScopes({ scope: ['stats:read'] }), ['stats:read']);
+  });
+
+  it('returns null for tokens without a scope claim', () => {
+    assert.equal(parseScopes({ userId: 'u1' }), null);
+  });
+});